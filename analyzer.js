@@ -0,0 +1,316 @@
+/**
+ * Setun - Static analyzer
+ * Finds likely mistakes in an assembled or linked program without running
+ * it. Control flow is followed from address 0 like the disassembler does
+ * (fall-through, branches, calls, the trap vector and interrupt vector
+ * tables), using what the assembler recorded about each word: instruction,
+ * operand or data. It reports:
+ *   - instructions no path reaches
+ *   - jumps and calls to addresses outside memory, into operand cells or
+ *     into data
+ *   - paths that run past the end of memory, or on into data, with no HALT
+ *   - reads of cells the program neither initializes nor stores to
+ *   - stores into instructions (patching a simple-format operand cell is
+ *     allowed)
+ *   - RET reached without a CALL, from the start of the program or from an
+ *     interrupt or trap handler
+ *
+ * It stays quiet where it cannot know: unreachable code is not reported
+ * when the program jumps through a pointer, and reads are not checked when
+ * it stores through a pointer that changes or reads the drum into memory.
+ */
+
+class SetunAnalyzer {
+    /**
+     * The emulator supplies the instruction set, format, memory size and
+     * stack region to analyze for
+     */
+    constructor(emulator) {
+        this.emulator = emulator;
+    }
+    
+    /**
+     * Analyze a program ({ words, sourceMap, kinds }, as from
+     * SetunAssembler.assemble or SetunLinker.build). Returns its warnings in
+     * address order: { address, file, line, column, message }, with the
+     * source location of the word at address (null fields if it has none).
+     */
+    analyze(program) {
+        const emulator = this.emulator;
+        const size = emulator.memory.length;
+        const memory = new Array(size).fill(0);
+        program.words.forEach((word, address) => {
+            if (address < size) {
+                memory[address] = word;
+            }
+        });
+        
+        this.memory = memory;
+        this.kinds = program.kinds || [];
+        this.decoder = new SetunDisassembler(emulator);
+        this.findings = [];
+        this.reached = new Set();
+        this.reads = [];               // { address, target } of direct reads
+        this.writes = new Set();       // Cells stored to
+        this.pointerStores = [];       // Pointer cells of indirect stores
+        this.unknownWrites = false;    // Some store's address cannot be known
+        this.unknownJumps = false;     // Some jump's target cannot be known
+        this.emptyTargets = [];        // { address, name, target } of jumps to unused memory
+        
+        this.trace();
+        this.checkReads();
+        this.checkUnreachable();
+        
+        // Code loaded at run time (from the drum, or through a pointer) may fill unused memory
+        if (!this.unknownWrites) {
+            this.emptyTargets.forEach(({ address, name, target }) => {
+                this.warn(address, `${name} target ${target} is unused memory, not an instruction`);
+            });
+        }
+        
+        const seen = new Set();
+        return this.findings
+            .sort((a, b) => a.address - b.address)
+            .filter(finding => {
+                const key = `${finding.address}:${finding.message}`;
+                return !seen.has(key) && seen.add(key);
+            })
+            .map(finding => {
+                const location = program.sourceMap[finding.address] || null;
+                return {
+                    address: finding.address,
+                    file: location ? location.file : null,
+                    line: location ? location.line : null,
+                    column: location ? location.column : null,
+                    message: finding.message
+                };
+            });
+    }
+    
+    warn(address, message) {
+        this.findings.push({ address, message });
+    }
+    
+    /**
+     * Follow every path from the entry point. A path's context says how it
+     * was entered: 'main' from the start of the program, 'subroutine' from
+     * a CALL, 'handler' from an interrupt vector or the trap vector.
+     */
+    trace() {
+        const size = this.memory.length;
+        const visited = new Set();
+        const pending = [{ address: 0, context: 'main' }];
+        
+        while (pending.length > 0) {
+            let { address, context } = pending.pop();
+            let previous = null;
+            
+            while (true) {
+                if (address < 0 || address >= size) {
+                    if (previous !== null) {
+                        this.warn(previous, 'No HALT: execution runs past the end of memory after this instruction');
+                    }
+                    break;
+                }
+                const kind = this.kinds[address];
+                if (previous !== null && kind !== 'code' && kind !== 'word') {
+                    this.warn(previous, kind === 'data' ?
+                        `No HALT: execution runs on into data at ${address} after this instruction` :
+                        `No HALT: execution runs on into unused memory at ${address} after this instruction`);
+                    break;
+                }
+                const key = `${context}:${address}`;
+                if (visited.has(key)) {
+                    break;
+                }
+                visited.add(key);
+                
+                const instruction = this.decoder.decode(this.memory, address);
+                if (!instruction) {
+                    if (previous !== null) {
+                        this.warn(previous, `No HALT: execution runs on into ${address}, which holds no instruction`);
+                    }
+                    break;
+                }
+                this.reached.add(address);
+                if (instruction.size === 2) {
+                    this.reached.add(address + 1);
+                }
+                
+                this.checkInstruction(instruction, context, pending);
+                if (instruction.stops) {
+                    break;
+                }
+                previous = address;
+                address += instruction.size;
+            }
+        }
+    }
+    
+    /**
+     * Check one reached instruction, queueing the paths it starts
+     */
+    checkInstruction(instruction, context, pending) {
+        const { address, name, role, target, pointer } = instruction;
+        const historical = this.emulator.profile === 'historical';
+        
+        if (pointer !== null) {
+            this.reads.push({ address, target: pointer });
+        }
+        
+        switch (role) {
+            case 'jump':
+            case 'call':
+            case 'trap': {
+                if (target === null) {
+                    this.unknownJumps = true;
+                    break;
+                }
+                if (!this.isCodeTarget(address, name, target)) {
+                    break;
+                }
+                const entered = { jump: context, call: 'subroutine', trap: 'handler' }[role];
+                pending.push({ address: target, context: entered });
+                break;
+            }
+            
+            case 'vectors':
+                if (target === null) {
+                    this.unknownJumps = true;
+                    break;
+                }
+                for (let line = 0; line < this.emulator.interruptLineCount; line++) {
+                    const entry = target + line;
+                    if (entry >= 0 && entry < this.memory.length) {
+                        const handler = this.memory[entry];
+                        if (handler > 0 && handler < this.memory.length) {
+                            pending.push({ address: handler, context: 'handler' });
+                        }
+                    }
+                }
+                break;
+            
+            case 'data':
+                if ((historical ? SetunAnalyzer.HISTORICAL_WRITES : SetunAnalyzer.STANDARD_WRITES).includes(name)) {
+                    if (target === null) {
+                        this.unknownWrites = true;
+                    } else {
+                        this.writes.add(target);
+                        this.checkStore(address, name, target);
+                    }
+                } else if (target !== null) {
+                    this.reads.push({ address, target });
+                    if (name === 'STOREI') {
+                        this.pointerStores.push(target);
+                    }
+                }
+                break;
+        }
+        
+        if (!historical && name === 'STOREI' && target === null) {
+            this.unknownWrites = true;
+        }
+        if (!historical && SetunAnalyzer.UNKNOWN_WRITES.includes(name)) {
+            this.unknownWrites = true;
+        }
+        if (name === 'RET' && context !== 'subroutine') {
+            this.warn(address, context === 'main' ?
+                'RET is reached from the start of the program, with no CALL to return to' :
+                'RET is reached from an interrupt or trap handler, with no CALL to return to (use IRET)');
+        }
+    }
+    
+    /**
+     * Whether a jump or call target can be followed, warning if it is not
+     * an instruction
+     */
+    isCodeTarget(address, name, target) {
+        if (target < 0 || target >= this.memory.length) {
+            this.warn(address, `${name} target ${target} is outside the ${this.memory.length}-word memory`);
+            return false;
+        }
+        const kind = this.kinds[target];
+        if (kind === 'operand') {
+            this.warn(address, `${name} target ${target} is the operand of the instruction at ${target - 1}`);
+            return false;
+        }
+        if (kind === 'data') {
+            this.warn(address, `${name} target ${target} is data, not an instruction`);
+            return false;
+        }
+        if (kind === undefined) {
+            this.emptyTargets.push({ address, name, target });
+            return false;
+        }
+        return true;
+    }
+    
+    checkStore(address, name, target) {
+        if (this.kinds[target] === 'code') {
+            this.warn(address, `${name} overwrites the instruction at ${target}`);
+        }
+    }
+    
+    /**
+     * Reads of cells nothing puts a value in: not assembled (.SPACE, gaps
+     * and beyond the program), never stored to, and outside the stack
+     * region and memory-mapped devices
+     */
+    checkReads() {
+        // An indirect store goes where its pointer cell points, if the pointer never changes
+        for (const pointer of this.pointerStores) {
+            if (this.writes.has(pointer) || this.kinds[pointer] === undefined) {
+                this.unknownWrites = true;
+            } else {
+                this.writes.add(this.emulator.wrapAddress(this.memory[pointer]));
+            }
+        }
+        if (this.unknownWrites) {
+            return;
+        }
+        
+        const emulator = this.emulator;
+        for (const { address, target } of this.reads) {
+            const inStack = target >= emulator.stackLimit && target <= emulator.stackTop;
+            if (target < 0 || target >= this.memory.length || this.kinds[target] !== undefined ||
+                this.writes.has(target) || inStack || emulator.findMappedDevice(target)) {
+                continue;
+            }
+            const name = this.decoder.decode(this.memory, address).name;
+            this.warn(address, `${name} reads ${target}, which the program never initializes or stores to`);
+        }
+    }
+    
+    /**
+     * Assembled instructions no path reaches, reported at the first of
+     * each run
+     */
+    checkUnreachable() {
+        if (this.unknownJumps) {
+            return;
+        }
+        let inRun = false;
+        for (let address = 0; address < this.kinds.length; address++) {
+            const kind = this.kinds[address];
+            if (kind === 'operand') {
+                continue;
+            }
+            const unreachable = kind === 'code' && !this.reached.has(address);
+            if (unreachable && !inRun) {
+                this.warn(address, 'Unreachable code: no jump, call or fall-through leads here');
+            }
+            inRun = unreachable;
+        }
+    }
+}
+
+// Instructions that store to the address they name
+SetunAnalyzer.STANDARD_WRITES = ['STORE'];
+SetunAnalyzer.HISTORICAL_WRITES = ['STA', 'STS', 'STF', 'NRM'];
+
+// Standard instructions that write memory at an address known only at run time
+SetunAnalyzer.UNKNOWN_WRITES = ['DRD'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunAnalyzer };
+}
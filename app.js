@@ -4,9 +4,31 @@
 
 class SetunApp {
     constructor() {
-        this.emulator = new SetunEmulator();
+        this.drum = new SetunDrum();
+        this.emulator = new SetunEmulator(81, { drum: this.drum });
+        this.teletype = new SetunTeletype();
+        this.emulator.attachDevice(this.teletype);
+        this.tapeReader = new SetunTapeReader();
+        this.emulator.attachDevice(this.tapeReader);
+        this.tapePunch = new SetunTapePunch();
+        this.emulator.attachDevice(this.tapePunch);
+        this.tapeName = null;           // File the reader tape was loaded from
+        this.program = null;            // Last build of the project, for the listing
+        this.files = new Map([['main.tas', '']]); // Project source files, name -> text, in link order
+        this.activeFile = 'main.tas';   // Project file shown in the editor
+        this.editorText = '';           // Editor contents when last assembled, to follow edits
+        this.breakpointLines = new Map(); // Breakpoint address -> { file, line } it stays on
+        this.currentLine = null;        // Editor line of the instruction at PC
+        this.framebuffer = null;        // Attached from the Display tab
+        this.framebufferRefreshMs = 100; // Minimum time between redraws while running
+        this.lastFramebufferDraw = 0;
+        this.framebufferRedraw = null;  // Pending trailing redraw
+        this.waitingForInput = false;   // Stopped at an IN on an empty keyboard buffer or tape
+        this.resumeAfterInput = false;  // ...while running, so input resumes the run
         this.executionInterval = null;
         this.executionSpeed = 5; // Instructions per second
+        this.speedMode = 'slider'; // 'slider' or 'historical' (paced by the simulated clock)
+        this.activeTab = 'memory';
         this.previousState = null;
         this.changedRegisters = new Set();
         this.changedMemory = new Set();
@@ -15,6 +37,9 @@ class SetunApp {
         this.emulator.onStateChange = () => this.updateVisualization();
         this.emulator.onError = (msg) => this.handleError(msg);
         this.emulator.onHalt = (msg) => this.handleHalt(msg);
+        this.emulator.onFault = (fault) => this.handleFault(fault);
+        this.emulator.onWarning = (msg) => this.handleWarning(msg);
+        this.emulator.onWait = (device) => this.handleWait(device);
         
         // Initialize UI
         this.initializeUI();
@@ -26,6 +51,7 @@ class SetunApp {
         // Get DOM elements
         this.elements = {
             editor: document.getElementById('programEditor'),
+            fileTabs: document.getElementById('fileTabs'),
             examplesSelect: document.getElementById('examplesSelect'),
             saveBtn: document.getElementById('saveBtn'),
             runBtn: document.getElementById('runBtn'),
@@ -36,9 +62,54 @@ class SetunApp {
             speedLabel: document.getElementById('speedLabel'),
             statusBadge: document.getElementById('statusBadge'),
             instructionCount: document.getElementById('instructionCount'),
+            cycleCount: document.getElementById('cycleCount'),
+            speedModeSelect: document.getElementById('speedModeSelect'),
             syntaxError: document.getElementById('syntaxError'),
+            runtimeWarning: document.getElementById('runtimeWarning'),
             memoryViewer: document.getElementById('memoryViewer'),
+            consoleOutput: document.getElementById('consoleOutput'),
+            consoleInput: document.getElementById('consoleInput'),
+            consoleSendBtn: document.getElementById('consoleSendBtn'),
+            clearConsoleBtn: document.getElementById('clearConsoleBtn'),
+            consoleStatus: document.getElementById('consoleStatus'),
+            loadTapeBtn: document.getElementById('loadTapeBtn'),
+            loadTapeFile: document.getElementById('loadTapeFile'),
+            rewindTapeBtn: document.getElementById('rewindTapeBtn'),
+            saveTapeBtn: document.getElementById('saveTapeBtn'),
+            clearPunchBtn: document.getElementById('clearPunchBtn'),
+            tapeStatus: document.getElementById('tapeStatus'),
+            readerTapeView: document.getElementById('readerTapeView'),
+            punchTapeView: document.getElementById('punchTapeView'),
+            drumViewer: document.getElementById('drumViewer'),
+            listingOutput: document.getElementById('listingOutput'),
+            listingExpanded: document.getElementById('listingExpanded'),
+            compiledOutput: document.getElementById('compiledOutput'),
+            disassemblyOutput: document.getElementById('disassemblyOutput'),
+            disassemblyLabels: document.getElementById('disassemblyLabels'),
+            disassemblyToEditorBtn: document.getElementById('disassemblyToEditorBtn'),
+            fbBase: document.getElementById('fbBase'),
+            fbWidth: document.getElementById('fbWidth'),
+            fbHeight: document.getElementById('fbHeight'),
+            fbModeSelect: document.getElementById('fbModeSelect'),
+            attachFbBtn: document.getElementById('attachFbBtn'),
+            detachFbBtn: document.getElementById('detachFbBtn'),
+            fbColorNegative: document.getElementById('fbColorNegative'),
+            fbColorZero: document.getElementById('fbColorZero'),
+            fbColorPositive: document.getElementById('fbColorPositive'),
+            fbSnapshotBtn: document.getElementById('fbSnapshotBtn'),
+            fbStatus: document.getElementById('fbStatus'),
+            framebufferCanvas: document.getElementById('framebufferCanvas'),
+            drumStatus: document.getElementById('drumStatus'),
+            saveDrumBtn: document.getElementById('saveDrumBtn'),
+            loadDrumBtn: document.getElementById('loadDrumBtn'),
+            loadDrumFile: document.getElementById('loadDrumFile'),
+            clearDrumBtn: document.getElementById('clearDrumBtn'),
             callStackViewer: document.getElementById('callStackViewer'),
+            interruptStatus: document.getElementById('interruptStatus'),
+            stackModeSelect: document.getElementById('stackModeSelect'),
+            stackStart: document.getElementById('stackStart'),
+            stackEnd: document.getElementById('stackEnd'),
+            setStackRegionBtn: document.getElementById('setStackRegionBtn'),
             memoryViewMode: document.getElementById('memoryViewMode'),
             memorySizeSelect: document.getElementById('memorySizeSelect'),
             breakpointAddress: document.getElementById('breakpointAddress'),
@@ -61,11 +132,23 @@ class SetunApp {
             registerACC: document.getElementById('registerACC'),
             registerPC: document.getElementById('registerPC'),
             registerIR: document.getElementById('registerIR'),
+            registerOV: document.getElementById('registerOV'),
+            registerSP: document.getElementById('registerSP'),
+            registerF: document.getElementById('registerF'),
+            registerS: document.getElementById('registerS'),
+            profileSelect: document.getElementById('profileSelect'),
+            wordSizeSelect: document.getElementById('wordSizeSelect'),
+            overflowModeSelect: document.getElementById('overflowModeSelect'),
+            executionModeSelect: document.getElementById('executionModeSelect'),
+            instructionFormatSelect: document.getElementById('instructionFormatSelect'),
             protectStart: document.getElementById('protectStart'),
             protectEnd: document.getElementById('protectEnd'),
             protectBtn: document.getElementById('protectBtn'),
             unprotectBtn: document.getElementById('unprotectBtn'),
             clearProtectionBtn: document.getElementById('clearProtectionBtn'),
+            permissionSelect: document.getElementById('permissionSelect'),
+            setPermissionsBtn: document.getElementById('setPermissionsBtn'),
+            selfModifyWarning: document.getElementById('selfModifyWarning'),
             exportMemoryBtn: document.getElementById('exportMemoryBtn'),
             importMemoryBtn: document.getElementById('importMemoryBtn'),
             importMemoryFile: document.getElementById('importMemoryFile'),
@@ -78,6 +161,7 @@ class SetunApp {
         
         // Get line numbers and syntax highlighting elements
         this.elements.lineNumbers = document.getElementById('lineNumbers');
+        this.elements.pcLineHighlight = document.getElementById('pcLineHighlight');
         this.elements.autocomplete = document.getElementById('autocomplete');
         
         // Autocomplete state
@@ -89,7 +173,8 @@ class SetunApp {
         this.foldedRegions = new Set();
         
         // Error tracking
-        this.lineErrors = new Map(); // Map of line number to error message
+        this.lineErrors = new Map(); // Map of line number to { message, severity: 'error' or 'warning' }
+        this.warnings = [];          // Static analysis warnings for the last project build
         
         // Opcode definitions for autocomplete
         this.opcodeInfo = [
@@ -103,14 +188,64 @@ class SetunApp {
             { mnemonic: 'JNZ', ternary: '--', decimal: -4, description: 'Jump if accumulator is not zero' },
             { mnemonic: 'JNP', ternary: '+--', decimal: 5, description: 'Jump if accumulator is positive' },
             { mnemonic: 'SHL', ternary: '+-0', decimal: 6, description: 'Shift left (multiply by 3)' },
-            { mnemonic: 'SHR', ternary: '-+0', decimal: -6, description: 'Shift right (divide by 3)' },
+            { mnemonic: 'SHR', ternary: '-+0', decimal: -6, description: 'Shift right (divide by 3, rounded)' },
             { mnemonic: 'CALL', ternary: '+-+', decimal: 7, description: 'Call subroutine at address' },
             { mnemonic: 'RET', ternary: '-+-', decimal: -7, description: 'Return from subroutine' },
             { mnemonic: 'NEG', ternary: '+0-', decimal: 8, description: 'Negate accumulator value' },
             { mnemonic: 'INC', ternary: '+00', decimal: 9, description: 'Increment accumulator by 1' },
             { mnemonic: 'DEC', ternary: '-00', decimal: -9, description: 'Decrement accumulator by 1' },
             { mnemonic: 'LOADI', ternary: '++-', decimal: 10, description: 'Load indirect from memory pointer' },
-            { mnemonic: 'STOREI', ternary: '--+', decimal: -10, description: 'Store indirect to memory pointer' }
+            { mnemonic: 'STOREI', ternary: '--+', decimal: -10, description: 'Store indirect to memory pointer' },
+            { mnemonic: 'JOV', ternary: '++-', decimal: 11, description: 'Jump if last result overflowed' },
+            { mnemonic: 'AND', ternary: '++0', decimal: 12, description: 'Trit-wise minimum with operand' },
+            { mnemonic: 'OR', ternary: '--0', decimal: -12, description: 'Trit-wise maximum with operand' },
+            { mnemonic: 'CONS', ternary: '+++', decimal: 13, description: 'Trit-wise consensus with operand' },
+            { mnemonic: 'TMUL', ternary: '---', decimal: -13, description: 'Trit-wise multiply by operand (sign mask)' },
+            { mnemonic: 'INV', ternary: '--+', decimal: -11, description: 'Invert every accumulator trit' },
+            { mnemonic: 'ROT', ternary: '+---', decimal: 14, description: 'Rotate accumulator trits by operand' },
+            { mnemonic: 'MUL', ternary: '+--0', decimal: 15, description: 'Multiply accumulator by operand' },
+            { mnemonic: 'DIV', ternary: '-++0', decimal: -15, description: 'Divide accumulator by operand (rounded)' },
+            { mnemonic: 'MOD', ternary: '-+++', decimal: -14, description: 'Balanced remainder of division by operand' },
+            { mnemonic: 'EI', ternary: '+--+', decimal: 16, description: 'Enable interrupts' },
+            { mnemonic: 'DI', ternary: '-++-', decimal: -16, description: 'Disable interrupts' },
+            { mnemonic: 'IRET', ternary: '+-0-', decimal: 17, description: 'Return from interrupt handler' },
+            { mnemonic: 'IMSK', ternary: '-+0+', decimal: -17, description: 'Set interrupt line mask' },
+            { mnemonic: 'TIMER', ternary: '+-00', decimal: 18, description: 'Interrupt every operand instructions' },
+            { mnemonic: 'INT', ternary: '-+00', decimal: -18, description: 'Raise interrupt on operand line' },
+            { mnemonic: 'IVB', ternary: '+-0+', decimal: 19, description: 'Set interrupt vector table base' },
+            { mnemonic: 'PUSH', ternary: '+-+-', decimal: 20, description: 'Push accumulator onto the stack' },
+            { mnemonic: 'POP', ternary: '-+-+', decimal: -20, description: 'Pop the stack into the accumulator' },
+            { mnemonic: 'LOADS', ternary: '+-+0', decimal: 21, description: 'Load from stack at SP + operand' },
+            { mnemonic: 'STORES', ternary: '-+-0', decimal: -21, description: 'Store to stack at SP + operand' },
+            { mnemonic: 'TVEC', ternary: '+-++', decimal: 22, description: 'Set strict mode trap handler address' },
+            { mnemonic: 'DRD', ternary: '+0--', decimal: 23, description: 'Read drum page into memory at ACC' },
+            { mnemonic: 'DWR', ternary: '-0++', decimal: -23, description: 'Write memory at ACC to drum page' },
+            { mnemonic: 'IN', ternary: '+0-0', decimal: 24, description: 'Read from I/O port into accumulator' },
+            { mnemonic: 'OUT', ternary: '-0+0', decimal: -24, description: 'Write accumulator to I/O port' }
+        ];
+        
+        // Opcode definitions for the historical Setun profile
+        this.historicalOpcodeInfo = [
+            { mnemonic: 'HLT', ternary: '000', decimal: 0, description: 'Stop program execution' },
+            { mnemonic: 'LDA', ternary: '+00', decimal: 9, description: 'Load (A*) into accumulator' },
+            { mnemonic: 'ADA', ternary: '+0+', decimal: 10, description: 'Add (A*) to accumulator' },
+            { mnemonic: 'SBA', ternary: '+0-', decimal: 8, description: 'Subtract (A*) from accumulator' },
+            { mnemonic: 'LDS', ternary: '++0', decimal: 12, description: 'Load (A*) into S register' },
+            { mnemonic: 'MAD', ternary: '+++', decimal: 13, description: 'Multiply (A*) by S and add to accumulator' },
+            { mnemonic: 'MUL', ternary: '++-', decimal: 11, description: 'Multiply (A*) by S into ACC:S' },
+            { mnemonic: 'LMU', ternary: '+-0', decimal: 6, description: 'Trit-wise multiply (A*) with accumulator' },
+            { mnemonic: 'SHF', ternary: '--0', decimal: -12, description: 'Shift accumulator by (A*) trits' },
+            { mnemonic: 'NRM', ternary: '-0-', decimal: -10, description: 'Normalize accumulator, shift count to A*' },
+            { mnemonic: 'STA', ternary: '-00', decimal: -9, description: 'Store accumulator to A*' },
+            { mnemonic: 'STS', ternary: '-0+', decimal: -8, description: 'Store S register to A*' },
+            { mnemonic: 'LDF', ternary: '00-', decimal: -1, description: 'Load (A*) into F register' },
+            { mnemonic: 'STF', ternary: '00+', decimal: 1, description: 'Store F register to A*' },
+            { mnemonic: 'ADF', ternary: '0--', decimal: -4, description: 'Add (A*) to F register' },
+            { mnemonic: 'JMP', ternary: '0+0', decimal: 3, description: 'Jump to A*' },
+            { mnemonic: 'JPS', ternary: '0++', decimal: 4, description: 'Jump to A* if accumulator is positive' },
+            { mnemonic: 'JZS', ternary: '0+-', decimal: 2, description: 'Jump to A* if accumulator is zero' },
+            { mnemonic: 'JNS', ternary: '0-+', decimal: -2, description: 'Jump to A* if accumulator is negative' },
+            { mnemonic: 'JMF', ternary: '0-0', decimal: -3, description: 'Save return address in F and jump to A*' }
         ];
         
         // Attach event listeners
@@ -121,7 +256,9 @@ class SetunApp {
         this.elements.pauseBtn.addEventListener('click', () => this.pause());
         this.elements.resetBtn.addEventListener('click', () => this.reset());
         this.elements.speedSlider.addEventListener('input', (e) => this.updateSpeed(e.target.value));
+        this.elements.speedModeSelect.addEventListener('change', (e) => this.changeSpeedMode(e.target.value));
         this.elements.editor.addEventListener('input', () => {
+            this.followEdit(this.elements.editor.value);
             this.validateSyntax();
             this.updateLineNumbers();
             this.handleAutocomplete();
@@ -131,6 +268,13 @@ class SetunApp {
         this.elements.editor.addEventListener('blur', () => this.hideAutocomplete());
         this.elements.memoryViewMode.addEventListener('change', (e) => this.changeMemoryViewMode(e.target.value));
         this.elements.memorySizeSelect.addEventListener('change', (e) => this.changeMemorySize(parseInt(e.target.value)));
+        this.elements.wordSizeSelect.addEventListener('change', (e) => this.changeWordSize(parseInt(e.target.value)));
+        this.elements.overflowModeSelect.addEventListener('change', (e) => this.emulator.setOverflowMode(e.target.value));
+        this.elements.executionModeSelect.addEventListener('change', (e) => this.emulator.setStrictMode(e.target.value === 'strict'));
+        this.elements.instructionFormatSelect.addEventListener('change', (e) => this.changeInstructionFormat(e.target.value));
+        this.elements.profileSelect.addEventListener('change', (e) => this.changeProfile(e.target.value));
+        this.elements.stackModeSelect.addEventListener('change', (e) => this.changeStackMode(e.target.value));
+        this.elements.setStackRegionBtn.addEventListener('click', () => this.setStackRegion());
         this.elements.addBreakpointBtn.addEventListener('click', () => this.addBreakpoint());
         this.elements.clearBreakpointsBtn.addEventListener('click', () => this.clearBreakpoints());
         this.elements.breakpointAddress.addEventListener('keypress', (e) => {
@@ -156,12 +300,57 @@ class SetunApp {
         this.elements.protectBtn.addEventListener('click', () => this.protectMemory());
         this.elements.unprotectBtn.addEventListener('click', () => this.unprotectMemory());
         this.elements.clearProtectionBtn.addEventListener('click', () => this.clearMemoryProtection());
+        this.elements.setPermissionsBtn.addEventListener('click', () => this.setMemoryPermissions());
+        this.elements.selfModifyWarning.addEventListener('change', (e) => {
+            this.emulator.warnOnSelfModify = e.target.checked;
+        });
         
         // Persistent storage event listeners
         this.elements.exportMemoryBtn.addEventListener('click', () => this.exportMemoryState());
         this.elements.importMemoryBtn.addEventListener('click', () => this.elements.importMemoryFile.click());
         this.elements.importMemoryFile.addEventListener('change', (e) => this.importMemoryState(e));
         
+        // Console event listeners
+        this.elements.consoleSendBtn.addEventListener('click', () => this.sendConsoleInput());
+        this.elements.consoleInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.sendConsoleInput();
+        });
+        this.elements.clearConsoleBtn.addEventListener('click', () => {
+            this.teletype.output = '';
+            this.updateConsoleView();
+        });
+        
+        // Tape event listeners
+        this.elements.loadTapeBtn.addEventListener('click', () => this.elements.loadTapeFile.click());
+        this.elements.loadTapeFile.addEventListener('change', (e) => this.loadTapeFile(e));
+        this.elements.rewindTapeBtn.addEventListener('click', () => {
+            this.tapeReader.rewind();
+            this.updateTapeView();
+        });
+        this.elements.saveTapeBtn.addEventListener('click', () => this.savePunchedTape());
+        this.elements.clearPunchBtn.addEventListener('click', () => {
+            this.tapePunch.reset();
+            this.updateTapeView();
+        });
+        
+        // Drum event listeners
+        this.elements.saveDrumBtn.addEventListener('click', () => this.saveDrumImage());
+        this.elements.loadDrumBtn.addEventListener('click', () => this.elements.loadDrumFile.click());
+        this.elements.loadDrumFile.addEventListener('change', (e) => this.loadDrumImage(e));
+        this.elements.clearDrumBtn.addEventListener('click', () => this.clearDrum());
+        
+        this.elements.listingExpanded.addEventListener('change', () => this.updateListingView());
+        this.elements.disassemblyLabels.addEventListener('change', () => this.updateDisassemblyView());
+        this.elements.disassemblyToEditorBtn.addEventListener('click', () => this.openDisassemblyInEditor());
+        
+        // Framebuffer event listeners
+        this.elements.attachFbBtn.addEventListener('click', () => this.attachFramebuffer());
+        this.elements.detachFbBtn.addEventListener('click', () => this.detachFramebuffer());
+        [this.elements.fbColorNegative, this.elements.fbColorZero, this.elements.fbColorPositive].forEach(input => {
+            input.addEventListener('input', () => this.updatePalette());
+        });
+        this.elements.fbSnapshotBtn.addEventListener('click', () => this.saveFramebufferSnapshot());
+        
         // Heatmap event listeners
         this.elements.toggleHeatmapBtn.addEventListener('click', () => this.toggleHeatmap());
         this.elements.clearHeatmapBtn.addEventListener('click', () => this.clearHeatmap());
@@ -196,8 +385,9 @@ class SetunApp {
     
     setupElectronHandlers() {
         window.electronAPI.onNewProgram(() => {
-            this.elements.editor.value = '';
+            this.setProject([['main.tas', '']]);
             this.reset();
+            this.validateSyntax();
         });
         
         window.electronAPI.onSaveProgram(() => {
@@ -224,16 +414,39 @@ class SetunApp {
             this.reset();
         });
         
+        window.electronAPI.onLoadTape((event, text, name) => {
+            this.loadTape(text, name);
+        });
+        
+        window.electronAPI.onSaveTape(() => {
+            this.savePunchedTape();
+        });
+        
         window.electronAPI.onShowAbout(() => {
             alert('Setun - Balanced Ternary Computer Emulator\n\nVersion 1.0.0\n\nA faithful emulator of the historic Setun computer,\nthe world\'s first ternary (base-3) computer\ndeveloped in the Soviet Union in 1958.\n\nBuilt with Electron and JavaScript.');
         });
     }
     
+    /**
+     * Build the whole project, showing the active file's errors in the gutter
+     */
     validateSyntax() {
-        const code = this.elements.editor.value.trim();
+        this.files.set(this.activeFile, this.elements.editor.value);
         this.lineErrors.clear();
+        this.program = null;
+        this.warnings = [];
+        
+        // Text replaced rather than edited (an example, an import): breakpoints
+        // stay at their addresses and take the lines of the new program
+        if (this.elements.editor.value !== this.editorText) {
+            this.breakpointLines.clear();
+            this.editorText = this.elements.editor.value;
+        }
         
-        if (code.length === 0) {
+        if ([...this.files.values()].every(text => text.trim().length === 0)) {
+            this.renderFileTabs();
+            this.updateListingView();
+            this.updateCompiledView();
             this.elements.syntaxError.classList.add('hidden');
             this.elements.runBtn.disabled = true;
             this.elements.stepBtn.disabled = true;
@@ -241,41 +454,37 @@ class SetunApp {
             return true;
         }
         
-        const lines = code.split('\n');
-        let hasError = false;
-        let firstError = null;
-        
-        for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-            const line = lines[lineNum].trim();
-            
-            // Skip empty lines and comments
-            if (line.length === 0 || line.startsWith(';')) {
-                continue;
+        const program = this.buildProject();
+        this.program = program;
+        if (program.errors.length === 0) {
+            this.warnings = new SetunAnalyzer(this.emulator).analyze(program);
+        }
+        this.renderFileTabs();
+        this.updateListingView();
+        this.updateCompiledView();
+        
+        // The gutter shows the first error on each line. Errors inside a macro
+        // expansion also mark the line of the macro definition they came from.
+        program.errors.forEach(error => {
+            if (error.file === this.activeFile && !this.lineErrors.has(error.line)) {
+                this.lineErrors.set(error.line, { severity: 'error', message: `Column ${error.column}: ${error.message}` });
             }
-            
-            const tokens = line.split(/\s+/);
-            
-            for (let i = 0; i < tokens.length; i++) {
-                const token = tokens[i];
-                
-                // Skip comments within line
-                if (token.startsWith(';')) break;
-                
-                if (!SetunEmulator.validateTernary(token)) {
-                    const errorMsg = `Invalid ternary: "${token}"`;
-                    this.lineErrors.set(lineNum, errorMsg);
-                    hasError = true;
-                    
-                    if (!firstError) {
-                        firstError = `Line ${lineNum + 1}: ${errorMsg}`;
-                    }
-                    break; // Only report first error per line
-                }
+            if (error.definitionLine !== undefined && error.definitionFile === this.activeFile &&
+                !this.lineErrors.has(error.definitionLine)) {
+                const call = `line ${error.line + 1}${error.file !== this.activeFile ? ` of ${error.file}` : ''}`;
+                this.lineErrors.set(error.definitionLine, { severity: 'error', message: `Expanded at ${call}: ${error.message}` });
             }
-        }
+        });
+        this.warnings.forEach(warning => {
+            if (warning.file === this.activeFile && !this.lineErrors.has(warning.line)) {
+                this.lineErrors.set(warning.line, { severity: 'warning', message: `Warning: ${warning.message}` });
+            }
+        });
         
-        if (hasError) {
-            this.elements.syntaxError.textContent = firstError;
+        if (program.errors.length > 0) {
+            const first = program.errors[0];
+            const where = first.file && this.files.size > 1 ? `${first.file}, line` : 'Line';
+            this.elements.syntaxError.textContent = `${where} ${first.line + 1}, column ${first.column}: ${first.message}`;
             this.elements.syntaxError.classList.remove('hidden');
             this.elements.runBtn.disabled = true;
             this.elements.stepBtn.disabled = true;
@@ -286,16 +495,138 @@ class SetunApp {
         this.elements.syntaxError.classList.add('hidden');
         this.elements.runBtn.disabled = false;
         this.elements.stepBtn.disabled = false;
+        this.attachBreakpoints();
         this.updateLineNumbers(); // Update to clear error indicators
         return true;
     }
     
+    /**
+     * Assemble the project's files and link its modules (see SetunLinker)
+     */
+    buildProject() {
+        return new SetunLinker(this.emulator).build([...this.files.keys()],
+            file => this.files.has(file) ? this.files.get(file) : null);
+    }
+    
+    /**
+     * Replace the project with the given [name, text] files, showing the first
+     */
+    setProject(files, activeFile = files[0][0]) {
+        this.files = new Map(files);
+        this.activeFile = this.files.has(activeFile) ? activeFile : files[0][0];
+        this.elements.editor.value = this.files.get(this.activeFile);
+        this.currentLine = null;
+        this.renderFileTabs();
+    }
+    
+    /**
+     * Show another project file in the editor
+     */
+    switchFile(file) {
+        if (file === this.activeFile || !this.files.has(file)) return;
+        
+        this.files.set(this.activeFile, this.elements.editor.value);
+        this.activeFile = file;
+        this.elements.editor.value = this.files.get(file);
+        this.editorText = this.elements.editor.value;
+        this.elements.editor.scrollTop = 0;
+        this.hideAutocomplete();
+        this.currentLine = null;
+        this.validateSyntax();
+        this.updateCurrentLine(this.emulator.getState());
+        this.updateLineNumbers();
+    }
+    
+    /**
+     * Ask for a name and add an empty file to the project
+     */
+    addFile() {
+        let name = prompt('New file name (.tas for a module, .tern for a Tern module, .inc for a file to .INCLUDE):', '');
+        if (name === null) return;
+        
+        name = name.trim();
+        if (!name.includes('.')) {
+            name += '.tas';
+        }
+        if (!/^[\w.-]+$/.test(name)) {
+            alert('File names may only use letters, digits, "_", "-" and "."');
+            return;
+        }
+        if (this.files.has(name)) {
+            alert(`The project already has a file named ${name}`);
+            return;
+        }
+        
+        this.files.set(name, '');
+        this.switchFile(name);
+    }
+    
+    /**
+     * Remove a file from the project, after confirmation
+     */
+    removeFile(file) {
+        if (this.files.size === 1 || !confirm(`Remove ${file} from the project?`)) return;
+        
+        if (file === this.activeFile) {
+            this.switchFile([...this.files.keys()].find(name => name !== file));
+        }
+        this.files.delete(file);
+        this.validateSyntax();
+        this.updateLineNumbers();
+    }
+    
+    /**
+     * Draw a tab per project file, marking the active one and those with errors
+     */
+    renderFileTabs() {
+        const container = this.elements.fileTabs;
+        container.innerHTML = '';
+        const errorFiles = new Set(this.program ? this.program.errors.map(error => error.file) : []);
+        const warningFiles = new Set(this.warnings.map(warning => warning.file));
+        
+        for (const file of this.files.keys()) {
+            const tab = document.createElement('div');
+            tab.className = 'file-tab';
+            tab.classList.toggle('active', file === this.activeFile);
+            tab.classList.toggle('file-tab-error', errorFiles.has(file));
+            tab.classList.toggle('file-tab-warning', !errorFiles.has(file) && warningFiles.has(file));
+            tab.title = SetunCompiler.isSource(file) ? 'Tern module' : SetunLinker.isModule(file) ? 'Module' : 'Include file';
+            tab.textContent = file;
+            tab.addEventListener('click', () => this.switchFile(file));
+            
+            if (this.files.size > 1) {
+                const close = document.createElement('span');
+                close.className = 'file-tab-close';
+                close.textContent = '×';
+                close.title = `Remove ${file}`;
+                close.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.removeFile(file);
+                });
+                tab.appendChild(close);
+            }
+            container.appendChild(tab);
+        }
+        
+        const add = document.createElement('button');
+        add.className = 'file-tab-add';
+        add.textContent = '+';
+        add.title = 'New file';
+        add.addEventListener('click', () => this.addFile());
+        container.appendChild(add);
+    }
+    
     loadExample(exampleKey) {
         if (!exampleKey) return;
         
         const example = EXAMPLE_PROGRAMS[exampleKey];
         if (example) {
-            this.elements.editor.value = example.code;
+            this.changeProfile(example.profile || 'standard');
+            if (this.emulator.profile === 'standard') {
+                this.changeInstructionFormat(example.format || 'simple');
+            }
+            this.changeStackMode(example.stackMode || 'internal');
+            this.setProject([[example.file || 'main.tas', example.code]]);
             this.reset();
             this.validateSyntax();
             this.updateLineNumbers();
@@ -319,8 +650,8 @@ class SetunApp {
     }
     
     saveProgram() {
-        const code = this.elements.editor.value;
-        localStorage.setItem('setun_program', code);
+        this.files.set(this.activeFile, this.elements.editor.value);
+        localStorage.setItem('setun_project', JSON.stringify({ files: [...this.files], activeFile: this.activeFile }));
         
         // Visual feedback
         const originalText = this.elements.saveBtn.innerHTML;
@@ -330,13 +661,28 @@ class SetunApp {
         }, 1000);
     }
     
+    /**
+     * Restore the saved project, or a program saved before projects had
+     * several files
+     */
     loadSavedProgram() {
+        const project = localStorage.getItem('setun_project');
         const saved = localStorage.getItem('setun_program');
-        if (saved) {
-            this.elements.editor.value = saved;
-            this.validateSyntax();
-            this.updateLineNumbers();
+        if (project) {
+            try {
+                const { files, activeFile } = JSON.parse(project);
+                this.setProject(files, activeFile);
+            } catch (e) {
+                console.error('Failed to load saved project:', e);
+                return;
+            }
+        } else if (saved) {
+            this.setProject([['main.tas', saved]]);
+        } else {
+            return;
         }
+        this.validateSyntax();
+        this.updateLineNumbers();
     }
     
     run() {
@@ -345,20 +691,13 @@ class SetunApp {
         try {
             // Load program if not already loaded
             if (!this.emulator.running && this.emulator.instructionCount === 0) {
-                const code = this.elements.editor.value;
-                this.emulator.loadProgram(code);
+                this.emulator.loadImage(this.program);
             }
             
             this.emulator.running = true;
             this.updateStatus('running');
             
-            // Start execution loop
-            const delay = 1000 / this.executionSpeed;
-            this.executionInterval = setInterval(() => {
-                if (!this.emulator.step()) {
-                    this.pause();
-                }
-            }, delay);
+            this.startExecutionLoop();
             
             // Update UI
             this.elements.runBtn.classList.add('hidden');
@@ -377,11 +716,10 @@ class SetunApp {
         try {
             // Load program if not already loaded
             if (this.emulator.instructionCount === 0) {
-                const code = this.elements.editor.value;
-                this.emulator.loadProgram(code);
+                this.emulator.loadImage(this.program);
             }
             
-            this.emulator.step();
+            this.stepStatement();
             this.updateStatus('paused');
             
         } catch (e) {
@@ -389,6 +727,27 @@ class SetunApp {
         }
     }
     
+    /**
+     * Step one instruction, or a whole statement in Tern source
+     */
+    stepStatement() {
+        const location = this.emulator.getSourceLocation(this.emulator.programCounter);
+        if (!location || !SetunCompiler.isSource(location.file)) {
+            this.emulator.step();
+            return;
+        }
+        
+        // Redraw once, after the statement's instructions
+        const onStateChange = this.emulator.onStateChange;
+        this.emulator.onStateChange = null;
+        try {
+            this.emulator.stepSource();
+        } finally {
+            this.emulator.onStateChange = onStateChange;
+        }
+        this.updateVisualization();
+    }
+    
     pause() {
         this.emulator.running = false;
         
@@ -408,9 +767,11 @@ class SetunApp {
     
     reset() {
         this.pause();
+        this.waitingForInput = false;
         this.emulator.reset();
         this.updateStatus('idle');
         this.elements.syntaxError.classList.add('hidden');
+        this.elements.runtimeWarning.classList.add('hidden');
         this.changedRegisters.clear();
         this.changedMemory.clear();
         this.previousState = null;
@@ -423,13 +784,57 @@ class SetunApp {
         // Restart execution loop if running
         if (this.emulator.running) {
             clearInterval(this.executionInterval);
+            this.startExecutionLoop();
+        }
+    }
+    
+    changeSpeedMode(mode) {
+        this.speedMode = mode;
+        this.elements.speedSlider.disabled = mode === 'historical';
+        
+        if (this.emulator.running) {
+            clearInterval(this.executionInterval);
+            this.startExecutionLoop();
+        }
+    }
+    
+    /**
+     * Start the run loop: one step per tick at slider speed, or in historical
+     * mode as many steps per tick as the simulated clock allows, with the
+     * display refreshed once per tick
+     */
+    startExecutionLoop() {
+        if (this.speedMode !== 'historical') {
             const delay = 1000 / this.executionSpeed;
             this.executionInterval = setInterval(() => {
-                if (!this.emulator.step()) {
+                // A halt, error or wait may already have stopped the loop
+                if (!this.emulator.step() && this.executionInterval) {
                     this.pause();
                 }
             }, delay);
+            return;
         }
+        
+        let lastTick = performance.now();
+        this.executionInterval = setInterval(() => {
+            const now = performance.now();
+            // Cap catch-up after the window was in the background
+            const elapsedMicros = Math.min(now - lastTick, 250) * 1000;
+            lastTick = now;
+            
+            const onStateChange = this.emulator.onStateChange;
+            this.emulator.onStateChange = null;
+            let running;
+            try {
+                running = this.emulator.runFor(elapsedMicros);
+            } finally {
+                this.emulator.onStateChange = onStateChange;
+            }
+            this.updateVisualization();
+            if (!running && this.executionInterval) {
+                this.pause();
+            }
+        }, 50);
     }
     
     updateStatus(status) {
@@ -449,6 +854,10 @@ class SetunApp {
                 badge.classList.add('badge-error');
                 badge.textContent = 'Error';
                 break;
+            case 'waiting':
+                badge.classList.add('badge-paused');
+                badge.textContent = 'Waiting for input';
+                break;
             case 'halted':
                 badge.classList.add('badge-halted');
                 badge.textContent = 'Halted';
@@ -476,6 +885,18 @@ class SetunApp {
             if (state.instructionRegister !== this.previousState.instructionRegister) {
                 this.changedRegisters.add('IR');
             }
+            if (state.overflow !== this.previousState.overflow) {
+                this.changedRegisters.add('OV');
+            }
+            if (state.registerF !== this.previousState.registerF) {
+                this.changedRegisters.add('F');
+            }
+            if (state.registerS !== this.previousState.registerS) {
+                this.changedRegisters.add('S');
+            }
+            if (state.stackPointer !== this.previousState.stackPointer) {
+                this.changedRegisters.add('SP');
+            }
             
             for (let i = 0; i < state.memory.length; i++) {
                 if (state.memory[i] !== this.previousState.memory[i]) {
@@ -488,13 +909,41 @@ class SetunApp {
         this.updateRegister('ACC', state.accumulator, this.elements.registerACC);
         this.updateRegister('PC', state.programCounter, this.elements.registerPC);
         this.updateRegister('IR', state.instructionRegister, this.elements.registerIR);
+        this.updateRegister('OV', state.overflow, this.elements.registerOV);
+        this.updateRegister('SP', state.stackPointer, this.elements.registerSP);
+        
+        // F and S only exist in the historical profile
+        const historical = state.profile === 'historical';
+        this.elements.registerF.classList.toggle('hidden', !historical);
+        this.elements.registerS.classList.toggle('hidden', !historical);
+        if (historical) {
+            this.updateRegister('F', state.registerF, this.elements.registerF);
+            this.updateRegister('S', state.registerS, this.elements.registerS);
+        }
         
         // Update memory view
         this.updateMemoryView(state);
         
+        this.updateCurrentLine(state);
+        
         // Update call stack
         this.updateCallStackView(state);
         
+        this.updateConsoleView();
+        
+        // Drum, tape, display and disassembly views are only rebuilt while visible
+        if (this.activeTab === 'drum') {
+            this.updateDrumView();
+        } else if (this.activeTab === 'tape') {
+            this.updateTapeView();
+        } else if (this.activeTab === 'display') {
+            this.updateFramebufferView();
+        } else if (this.activeTab === 'disassembly') {
+            this.updateDisassemblyView();
+        } else if (this.activeTab === 'compiled') {
+            this.highlightCompiledCode(state.programCounter);
+        }
+        
         // Update breakpoint lists (only if changed)
         if (!this.previousState || 
             this.previousState.breakpoints.size !== state.breakpoints.size ||
@@ -508,79 +957,602 @@ class SetunApp {
         
         // Update instruction count
         this.elements.instructionCount.textContent = `Instructions: ${state.instructionCount}`;
+        this.elements.cycleCount.textContent = `Cycles: ${state.cycleCount} · ${state.elapsedMicros} µs`;
         
         // Save current state
         this.previousState = state;
     }
     
-    updateRegister(name, value, element) {
-        const ternarySpan = element.querySelector('.ternary-value');
-        const decimalSpan = element.querySelector('.decimal-value');
+    updateRegister(name, value, element) {
+        const ternarySpan = element.querySelector('.ternary-value');
+        const decimalSpan = element.querySelector('.decimal-value');
+        
+        ternarySpan.textContent = SetunEmulator.toBalancedTernary(value);
+        decimalSpan.textContent = `(${value})`;
+        
+        // Highlight if changed
+        if (this.changedRegisters.has(name)) {
+            element.classList.add('changed');
+            setTimeout(() => element.classList.remove('changed'), 500);
+        }
+    }
+    
+    updateMemoryView(state) {
+        this.elements.memoryViewer.innerHTML = '';
+        
+        // Trace the instruction stream so operand cells and data are told apart from code
+        const disassembler = new SetunDisassembler(this.emulator);
+        const code = disassembler.analyze(state.memory, {
+            entries: this.getDisassemblyEntries(state),
+            symbols: this.emulator.symbols
+        });
+        
+        // Only show non-zero memory cells or current PC location
+        for (let i = 0; i < state.memory.length; i++) {
+            if (state.memory[i] !== 0 || i === state.programCounter || i < 10) {
+                const cell = document.createElement('div');
+                cell.className = 'memory-cell';
+                
+                if (i === state.programCounter) {
+                    cell.classList.add('current');
+                }
+                
+                if (state.breakpoints.has(i)) {
+                    cell.classList.add('breakpoint');
+                }
+                
+                if (i >= state.stackLimit && i <= state.stackTop && i >= state.stackPointer) {
+                    cell.classList.add('stack-region');
+                }
+                if (i === state.stackPointer) {
+                    cell.classList.add('stack-pointer');
+                }
+                
+                if (state.protectedMemory && state.protectedMemory.has(i)) {
+                    cell.classList.add('protected');
+                }
+                
+                const device = this.emulator.findMappedDevice(i);
+                if (device) {
+                    cell.classList.add('mapped');
+                }
+                
+                // Shade cells by their read/write/execute permissions
+                const permissions = state.memoryPermissions.get(i) || 'rwx';
+                if (!permissions.includes('r')) cell.classList.add('perm-no-read');
+                if (!permissions.includes('w')) cell.classList.add('perm-no-write');
+                if (!permissions.includes('x')) cell.classList.add('perm-no-execute');
+                
+                // Add heatmap coloring
+                if (this.emulator.heatmapEnabled && this.emulator.memoryAccessCounts[i] > 0) {
+                    const maxAccess = this.emulator.getMaxAccessCount();
+                    const accessRatio = maxAccess > 0 ? this.emulator.memoryAccessCounts[i] / maxAccess : 0;
+                    const heatLevel = Math.min(10, Math.floor(accessRatio * 10) + 1);
+                    cell.classList.add(`heat-${heatLevel}`);
+                }
+                
+                if (this.changedMemory.has(i)) {
+                    cell.classList.add('changed');
+                }
+                
+                const formattedValue = this.formatMemoryValue(state.memory[i]);
+                let opcodeName = 'DATA';
+                if (code.kinds[i] === 'code') {
+                    opcodeName = disassembler.formatInstruction(code.instructions.get(i), code.labels);
+                } else if (code.kinds[i] === 'operand') {
+                    opcodeName = '↳ operand';
+                }
+                const breakpointIndicator = state.breakpoints.has(i) ? '🔴 ' : '';
+                
+                cell.innerHTML = `
+                    <span class="memory-address" title="Click to toggle breakpoint at address ${i}">${breakpointIndicator}[${i}]</span>
+                    <span class="memory-value">${formattedValue}</span>
+                    <span class="memory-opcode">${opcodeName}</span>
+                `;
+                
+                cell.title = `Click to show the source, or the address to toggle a breakpoint (${permissions}${device ? `, mapped to ${device.name}` : ''})`;
+                cell.style.cursor = 'pointer';
+                cell.querySelector('.memory-address').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.emulator.toggleBreakpoint(i);
+                    this.updateVisualization();
+                    this.updateBreakpointsList();
+                });
+                cell.addEventListener('click', () => this.showSource(i));
+                
+                this.elements.memoryViewer.appendChild(cell);
+            }
+        }
+    }
+    
+    updateConsoleView() {
+        if (this.elements.consoleOutput.textContent !== this.teletype.output) {
+            this.elements.consoleOutput.textContent = this.teletype.output;
+            this.elements.consoleOutput.scrollTop = this.elements.consoleOutput.scrollHeight;
+        }
+        const waiting = this.waitingForInput ? ' · Program is waiting for input' : '';
+        this.elements.consoleStatus.textContent = `Keyboard buffer: ${this.teletype.inputBuffer.length} characters${waiting}`;
+    }
+    
+    /**
+     * Send the console input line (with a newline) to the keyboard buffer,
+     * resuming a program that is waiting for it
+     */
+    sendConsoleInput() {
+        const text = this.elements.consoleInput.value + '\n';
+        this.teletype.type(text);
+        this.elements.consoleInput.value = '';
+        this.updateConsoleView();
+        this.resumeWaitingProgram();
+    }
+    
+    handleWait(device) {
+        this.resumeAfterInput = this.executionInterval !== null;
+        this.pause();
+        this.waitingForInput = true;
+        this.updateStatus('waiting');
+        if (device === this.tapeReader) {
+            this.switchTab('tape');
+        } else {
+            this.switchTab('console');
+            this.elements.consoleInput.focus();
+            this.updateConsoleView();
+        }
+    }
+    
+    /**
+     * Continue a program that stopped for input, now that input has arrived
+     */
+    resumeWaitingProgram() {
+        if (!this.waitingForInput) return;
+        
+        this.waitingForInput = false;
+        if (this.resumeAfterInput) {
+            this.run();
+        } else {
+            this.updateStatus('paused');
+        }
+    }
+    
+    loadTapeFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => this.loadTape(e.target.result, file.name);
+        reader.readAsText(file);
+        
+        // Reset file input
+        event.target.value = '';
+    }
+    
+    /**
+     * Mount a tape image in the reader
+     */
+    loadTape(text, name) {
+        try {
+            this.tapeReader.load(SetunTape.parse(text));
+        } catch (error) {
+            alert(`Error loading tape ${name}: ${error.message}`);
+            return;
+        }
+        this.tapeName = name;
+        this.updateTapeView();
+        this.resumeWaitingProgram();
+    }
+    
+    savePunchedTape() {
+        const text = SetunTape.format(this.tapePunch.frames);
+        
+        if (window.electronAPI) {
+            window.electronAPI.saveTapeFile(text);
+            return;
+        }
+        
+        const blob = new Blob([text], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `setun-punched-${Date.now()}.tape`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    updateTapeView() {
+        const reader = this.tapeReader;
+        const name = this.tapeName ? `${this.tapeName}: ` : '';
+        this.elements.tapeStatus.textContent =
+            `Reader: ${name}frame ${reader.position} of ${reader.frames.length} · Punch: ${this.tapePunch.frames.length} frames`;
+        
+        // Show a window of frames around the reader position, and the end of the punched tape
+        const readerStart = Math.max(0, reader.position - 20);
+        this.renderTape(this.elements.readerTapeView, reader.frames, readerStart, readerStart + 100, reader.position);
+        const punched = this.tapePunch.frames.length;
+        this.renderTape(this.elements.punchTapeView, this.tapePunch.frames, Math.max(0, punched - 100), punched, null);
+    }
+    
+    /**
+     * Draw tape frames as rows of holes: ● for +, ○ for -, · for 0
+     */
+    renderTape(container, frames, start, end, position) {
+        container.innerHTML = '';
+        
+        if (frames.length === 0) {
+            const emptyState = document.createElement('div');
+            emptyState.className = 'empty-state';
+            emptyState.textContent = 'No tape';
+            container.appendChild(emptyState);
+            return;
+        }
+        
+        const holes = { '1': '●', '-1': '○', '0': '·' };
+        for (let i = start; i < Math.min(end, frames.length); i++) {
+            const trits = SetunEmulator.toTrits(frames[i], this.emulator.wordSize).reverse();
+            const frame = document.createElement('div');
+            frame.className = 'tape-frame';
+            if (position !== null && i < position) {
+                frame.classList.add('read');
+            }
+            if (i === position) {
+                frame.classList.add('current');
+            }
+            frame.innerHTML = `
+                <span class="tape-index">${i}</span>
+                <span class="tape-holes">${trits.map(trit => holes[trit]).join('')}</span>
+                <span class="tape-value">${frames[i]}</span>
+            `;
+            container.appendChild(frame);
+        }
+    }
+    
+    /**
+     * Addresses execution can start from: 0, the program counter and the
+     * trap handler
+     */
+    getDisassemblyEntries(state) {
+        const entries = [0, state.programCounter];
+        if (state.trapVector > 0) {
+            entries.push(state.trapVector);
+        }
+        return entries;
+    }
+    
+    /**
+     * Disassemble the current memory, naming addresses with the loaded
+     * program's labels if asked to
+     */
+    disassembleMemory() {
+        const state = this.emulator.getState();
+        return new SetunDisassembler(this.emulator).disassemble(state.memory, {
+            entries: this.getDisassemblyEntries(state),
+            symbols: this.elements.disassemblyLabels.checked ? this.emulator.symbols : null
+        });
+    }
+    
+    updateDisassemblyView() {
+        if (this.activeTab !== 'disassembly') return;
+        this.elements.disassemblyOutput.textContent = this.disassembleMemory().text;
+    }
+    
+    /**
+     * Replace the editor contents with the disassembly, e.g. to recover
+     * source from an imported memory dump
+     */
+    openDisassemblyInEditor() {
+        this.elements.editor.value = this.disassembleMemory().text;
+        this.validateSyntax();
+        this.updateLineNumbers();
+    }
+    
+    /**
+     * Show the assembler listing of the active file's module (the first
+     * module for an include file) at its linked addresses, as written or
+     * with macros, repeat blocks and conditionals expanded
+     */
+    updateListingView() {
+        if (this.activeTab !== 'listing') return;
+        
+        const output = this.elements.listingOutput;
+        if (!this.program) {
+            output.textContent = 'No program';
+        } else if (this.program.errors.length > 0) {
+            output.textContent = `The program has ${this.program.errors.length} error(s); fix them to see the listing.`;
+        } else {
+            const module = this.program.modules.find(module => module.file === this.activeFile) || this.program.modules[0];
+            const listing = this.elements.listingExpanded.checked ? module.expandedListing : module.listing;
+            output.textContent = SetunAssembler.formatListing(listing, this.emulator.wordSize);
+        }
+    }
+    
+    /**
+     * Show the active Tern file beside the code compiled from it, at its
+     * linked addresses
+     */
+    updateCompiledView() {
+        if (this.activeTab !== 'compiled') return;
+        
+        const output = this.elements.compiledOutput;
+        output.innerHTML = '';
+        this.compiledRows = [];
+        const module = this.program && this.program.modules.find(module => module.file === this.activeFile);
+        if (!SetunCompiler.isSource(this.activeFile)) {
+            output.textContent = 'Open a Tern file (.tern) to see the code compiled from it.';
+            return;
+        }
+        if (!module || this.program.errors.length > 0) {
+            output.textContent = this.program && this.program.errors.length > 0 ?
+                `The program has ${this.program.errors.length} error(s); fix them to see the compiled code.` : 'No program';
+            return;
+        }
+        
+        // A statement's source is shown beside the first line generated from it
+        const sourceLines = this.files.get(this.activeFile).split('\n');
+        const lineMap = module.program.lineMap;
+        let previous = null;
+        for (const row of module.listing) {
+            const statement = lineMap[row.line];
+            const source = statement && statement !== previous ?
+                `${String(statement.line + 1).padStart(4)}  ${sourceLines[statement.line].trim()}` : '';
+            previous = statement || previous;
+            
+            const element = document.createElement('div');
+            element.className = 'compiled-row';
+            const sourceCell = document.createElement('span');
+            sourceCell.className = 'compiled-source';
+            sourceCell.textContent = source;
+            const codeCell = document.createElement('span');
+            codeCell.className = 'compiled-code';
+            const address = row.address === null || row.words.length === 0 ? '' : String(row.address);
+            codeCell.textContent = `${address.padStart(4)}  ${row.text.trim()}`;
+            element.appendChild(sourceCell);
+            element.appendChild(codeCell);
+            output.appendChild(element);
+            
+            if (row.words.length > 0) {
+                this.compiledRows.push({ element, start: row.address, end: row.address + row.words.length - 1 });
+            }
+        }
+        this.highlightCompiledCode(this.emulator.programCounter);
+    }
+    
+    /**
+     * Mark the compiled instruction at the program counter
+     */
+    highlightCompiledCode(address) {
+        const running = this.emulator.instructionCount > 0;
+        for (const row of this.compiledRows || []) {
+            const current = running && address >= row.start && address <= row.end;
+            row.element.classList.toggle('current', current);
+            if (current && !this.emulator.running) {
+                row.element.scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+    
+    /**
+     * Map a framebuffer into memory using the Display tab settings,
+     * replacing any framebuffer already attached
+     */
+    attachFramebuffer() {
+        if (this.emulator.running) {
+            alert('Cannot change the display while program is running. Please pause or reset first.');
+            return;
+        }
+        
+        const base = parseInt(this.elements.fbBase.value);
+        const width = parseInt(this.elements.fbWidth.value);
+        const height = parseInt(this.elements.fbHeight.value);
+        if (isNaN(base) || isNaN(width) || isNaN(height) || width < 1 || height < 1) {
+            alert('Please enter a valid base address, width and height');
+            return;
+        }
+        
+        this.mountFramebuffer({ base, width, height, mode: this.elements.fbModeSelect.value });
+    }
+    
+    /**
+     * Replace the attached framebuffer, keeping the old one if the new
+     * one does not fit
+     */
+    mountFramebuffer(options) {
+        const framebuffer = new SetunFramebuffer({
+            ...options,
+            wordTrits: this.emulator.wordSize,
+            palette: this.getPalette()
+        });
+        
+        this.emulator.detachDevice('framebuffer');
+        try {
+            this.emulator.attachDevice(framebuffer);
+        } catch (e) {
+            alert(e.message);
+            if (this.framebuffer) {
+                this.emulator.attachDevice(this.framebuffer);
+            }
+            return;
+        }
+        this.framebuffer = framebuffer;
+        this.updateVisualization();
+        this.updateFramebufferView(true);
+    }
+    
+    detachFramebuffer() {
+        if (this.emulator.running) {
+            alert('Cannot change the display while program is running. Please pause or reset first.');
+            return;
+        }
+        this.emulator.detachDevice('framebuffer');
+        this.framebuffer = null;
+        this.updateVisualization();
+        this.updateFramebufferView(true);
+    }
+    
+    getPalette() {
+        return [
+            this.elements.fbColorNegative.value,
+            this.elements.fbColorZero.value,
+            this.elements.fbColorPositive.value
+        ];
+    }
+    
+    updatePalette() {
+        if (this.framebuffer) {
+            this.framebuffer.palette = this.getPalette();
+            this.updateFramebufferView(true);
+        }
+    }
+    
+    /**
+     * Redraw the framebuffer canvas. While running, redraws are throttled to
+     * one per framebufferRefreshMs, with a trailing redraw so the last frame
+     * is always shown.
+     */
+    updateFramebufferView(force = false) {
+        const framebuffer = this.framebuffer;
+        const canvas = this.elements.framebufferCanvas;
+        
+        // The device is dropped if a memory size change left it outside memory
+        if (framebuffer && this.emulator.getDevice('framebuffer') !== framebuffer) {
+            this.framebuffer = null;
+            return this.updateFramebufferView(true);
+        }
+        
+        if (!framebuffer) {
+            this.elements.fbStatus.textContent = 'No framebuffer attached';
+            canvas.classList.add('hidden');
+            return;
+        }
+        
+        const [start, end] = framebuffer.addresses;
+        this.elements.fbStatus.textContent =
+            `${framebuffer.width} × ${framebuffer.height} pixels, ${framebuffer.mode} mode · Mapped to ${start}–${end}`;
+        canvas.classList.remove('hidden');
+        
+        if (!force && !framebuffer.dirty) return;
+        
+        const now = performance.now();
+        const wait = this.lastFramebufferDraw + this.framebufferRefreshMs - now;
+        if (!force && this.emulator.running && wait > 0) {
+            if (!this.framebufferRedraw) {
+                this.framebufferRedraw = setTimeout(() => {
+                    this.framebufferRedraw = null;
+                    if (this.activeTab === 'display') {
+                        this.updateFramebufferView(true);
+                    }
+                }, wait);
+            }
+            return;
+        }
+        
+        // Scale pixels up to fill about 480 × 320 canvas pixels
+        const scale = Math.max(1, Math.floor(Math.min(480 / framebuffer.width, 320 / framebuffer.height)));
+        canvas.width = framebuffer.width * scale;
+        canvas.height = framebuffer.height * scale;
+        framebuffer.draw(canvas.getContext('2d'), scale);
+        this.lastFramebufferDraw = now;
+    }
+    
+    /**
+     * Save the framebuffer canvas as a PNG image
+     */
+    saveFramebufferSnapshot() {
+        if (!this.framebuffer) {
+            alert('No framebuffer attached');
+            return;
+        }
+        this.updateFramebufferView(true);
+        
+        const a = document.createElement('a');
+        a.href = this.elements.framebufferCanvas.toDataURL('image/png');
+        a.download = `setun-display-${Date.now()}.png`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+    }
+    
+    updateDrumView() {
+        const drum = this.drum;
+        this.elements.drumViewer.innerHTML = '';
+        
+        const last = drum.lastPage === null ? 'none' : `${drum.lastOperation} page ${drum.lastPage}`;
+        const sector = drum.getHeadSector(this.emulator.cycleCount);
+        this.elements.drumStatus.textContent =
+            `${drum.pageCount} pages × ${drum.pageSize} words · Head at sector ${sector} · Last transfer: ${last} · Transfers: ${drum.transferCount}`;
+        
+        for (let page = 0; page < drum.pageCount; page++) {
+            const words = drum.words.slice(page * drum.pageSize, (page + 1) * drum.pageSize);
+            const used = words.filter(word => word !== 0).length;
+            
+            const item = document.createElement('div');
+            item.className = 'memory-cell drum-page';
+            if (page === drum.lastPage) {
+                item.classList.add('current');
+            }
+            if (used === 0) {
+                item.classList.add('empty');
+            }
+            
+            // Show the page up to its last non-zero word
+            let end = words.length;
+            while (end > 0 && words[end - 1] === 0) end--;
+            const contents = words.slice(0, end).map(word => this.formatMemoryValue(word)).join(' ');
+            
+            item.innerHTML = `
+                <span class="memory-address">P${page}</span>
+                <span class="memory-value">${used > 0 ? contents : 'empty'}</span>
+                <span class="memory-opcode">${used}/${drum.pageSize}</span>
+            `;
+            this.elements.drumViewer.appendChild(item);
+        }
+    }
+    
+    /**
+     * Save the drum contents to an image file
+     */
+    saveDrumImage() {
+        const json = JSON.stringify(this.drum.toImage());
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `setun-drum-${Date.now()}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Load the drum contents from an image file
+     */
+    loadDrumImage(event) {
+        const file = event.target.files[0];
+        if (!file) return;
         
-        ternarySpan.textContent = SetunEmulator.toBalancedTernary(value);
-        decimalSpan.textContent = `(${value})`;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.drum.loadImage(JSON.parse(e.target.result));
+                this.updateDrumView();
+            } catch (error) {
+                alert(`Error loading drum image: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
         
-        // Highlight if changed
-        if (this.changedRegisters.has(name)) {
-            element.classList.add('changed');
-            setTimeout(() => element.classList.remove('changed'), 500);
-        }
+        // Reset file input
+        event.target.value = '';
     }
     
-    updateMemoryView(state) {
-        this.elements.memoryViewer.innerHTML = '';
-        
-        // Only show non-zero memory cells or current PC location
-        for (let i = 0; i < state.memory.length; i++) {
-            if (state.memory[i] !== 0 || i === state.programCounter || i < 10) {
-                const cell = document.createElement('div');
-                cell.className = 'memory-cell';
-                
-                if (i === state.programCounter) {
-                    cell.classList.add('current');
-                }
-                
-                if (state.breakpoints.has(i)) {
-                    cell.classList.add('breakpoint');
-                }
-                
-                if (state.protectedMemory && state.protectedMemory.has(i)) {
-                    cell.classList.add('protected');
-                }
-                
-                // Add heatmap coloring
-                if (this.emulator.heatmapEnabled && this.emulator.memoryAccessCounts[i] > 0) {
-                    const maxAccess = this.emulator.getMaxAccessCount();
-                    const accessRatio = maxAccess > 0 ? this.emulator.memoryAccessCounts[i] / maxAccess : 0;
-                    const heatLevel = Math.min(10, Math.floor(accessRatio * 10) + 1);
-                    cell.classList.add(`heat-${heatLevel}`);
-                }
-                
-                if (this.changedMemory.has(i)) {
-                    cell.classList.add('changed');
-                }
-                
-                const formattedValue = this.formatMemoryValue(state.memory[i]);
-                const opcodeName = this.emulator.getOpcodeName(state.memory[i]);
-                const breakpointIndicator = state.breakpoints.has(i) ? '🔴 ' : '';
-                
-                cell.innerHTML = `
-                    <span class="memory-address">${breakpointIndicator}[${i}]</span>
-                    <span class="memory-value">${formattedValue}</span>
-                    <span class="memory-opcode">${opcodeName}</span>
-                `;
-                
-                cell.title = `Click to toggle breakpoint at address ${i}`;
-                cell.style.cursor = 'pointer';
-                cell.addEventListener('click', () => {
-                    this.emulator.toggleBreakpoint(i);
-                    this.updateVisualization();
-                    this.updateBreakpointsList();
-                });
-                
-                this.elements.memoryViewer.appendChild(cell);
-            }
+    clearDrum() {
+        if (this.emulator.running) {
+            alert('Cannot clear the drum while program is running. Please pause or reset first.');
+            return;
         }
+        this.drum.clear();
+        this.updateDrumView();
     }
     
     updateCallStackView(state) {
@@ -592,17 +1564,49 @@ class SetunApp {
             emptyState.textContent = 'Empty';
             this.elements.callStackViewer.appendChild(emptyState);
         } else {
-            state.callStack.forEach((returnAddr, index) => {
+            state.callStack.forEach((frame, index) => {
                 const item = document.createElement('div');
                 item.className = 'call-stack-item';
-                item.innerHTML = `
-                    <span class="stack-depth">#${index + 1}</span>
-                    <span class="stack-return">Return to: ${returnAddr}</span>
-                    <span class="stack-return-ternary">${SetunEmulator.toBalancedTernary(returnAddr)}</span>
-                `;
+                if (typeof frame === 'number') {
+                    item.innerHTML = `
+                        <span class="stack-depth">#${index + 1}</span>
+                        <span class="stack-return">Return to: ${frame}</span>
+                        <span class="stack-return-ternary">${SetunEmulator.toBalancedTernary(frame)}</span>
+                    `;
+                } else if (frame.type === 'call') {
+                    // Frame read back from the memory stack
+                    item.innerHTML = `
+                        <span class="stack-depth">#${index + 1}</span>
+                        <span class="stack-return">Return to: ${frame.returnAddress} @${frame.address}</span>
+                        <span class="stack-return-ternary">${SetunEmulator.toBalancedTernary(frame.returnAddress)}</span>
+                    `;
+                } else if (frame.type === 'trap') {
+                    const location = frame.address !== undefined ? ` @${frame.address}` : '';
+                    item.classList.add('interrupt');
+                    item.innerHTML = `
+                        <span class="stack-depth">#${index + 1}</span>
+                        <span class="stack-return">TRAP ${SetunFault.TITLES[frame.fault]}, resume at: ${frame.returnAddress}${location}</span>
+                        <span class="stack-return-ternary">ACC ${SetunEmulator.toBalancedTernary(frame.accumulator)}</span>
+                    `;
+                } else {
+                    const source = frame.line === 0 ? 'timer' : `line ${frame.line}`;
+                    const location = frame.address !== undefined ? ` @${frame.address}` : '';
+                    item.classList.add('interrupt');
+                    item.innerHTML = `
+                        <span class="stack-depth">#${index + 1}</span>
+                        <span class="stack-return">IRQ ${frame.line} (${source}), resume at: ${frame.returnAddress}${location}</span>
+                        <span class="stack-return-ternary">ACC ${SetunEmulator.toBalancedTernary(frame.accumulator)}</span>
+                    `;
+                }
                 this.elements.callStackViewer.appendChild(item);
             });
         }
+        
+        // Interrupt controller status
+        const pending = state.pendingInterrupts.length > 0 ? state.pendingInterrupts.join(', ') : 'none';
+        const timer = state.timerInterval > 0 ? `every ${state.timerInterval}` : 'off';
+        this.elements.interruptStatus.textContent =
+            `Interrupts: ${state.interruptsEnabled ? 'enabled' : 'disabled'} · Pending: ${pending} · Timer: ${timer}`;
     }
     
     changeMemoryViewMode(mode) {
@@ -617,16 +1621,120 @@ class SetunApp {
             return;
         }
         
-        // Create new emulator with new size
-        this.emulator = new SetunEmulator(newSize);
+        // Create new emulator with new size, keeping the word format, profile and devices
+        const profile = this.emulator.profile;
+        const devices = this.emulator.devices;
+        this.emulator = new SetunEmulator(newSize, {
+            wordSize: this.emulator.wordSize,
+            overflowMode: this.emulator.overflowMode,
+            instructionFormat: this.emulator.instructionFormat,
+            stackMode: this.emulator.stackMode,
+            strictMode: this.emulator.strictMode,
+            drum: this.drum
+        });
+        this.emulator.warnOnSelfModify = this.elements.selfModifyWarning.checked;
+        devices.forEach(device => {
+            try {
+                this.emulator.attachDevice(device);
+            } catch (e) {
+                alert(`Device "${device.name}" was detached: ${e.message}`);
+            }
+        });
+        this.emulator.setProfile(profile);
         this.emulator.onStateChange = () => this.updateVisualization();
         this.emulator.onError = (msg) => this.handleError(msg);
         this.emulator.onHalt = (msg) => this.handleHalt(msg);
+        this.emulator.onFault = (fault) => this.handleFault(fault);
+        this.emulator.onWarning = (msg) => this.handleWarning(msg);
+        this.emulator.onWait = (device) => this.handleWait(device);
         
         this.reset();
         this.updateVisualization();
     }
     
+    changeWordSize(trits) {
+        if (this.emulator.running) {
+            alert('Cannot change word size while program is running. Please pause or reset first.');
+            this.elements.wordSizeSelect.value = this.emulator.wordSize;
+            return;
+        }
+        
+        if (this.emulator.instructionFormat === 'packed' && trits < this.emulator.getInstructionWidth()) {
+            alert(`Packed instructions need a word of at least ${this.emulator.getInstructionWidth()} trits. Switch to the simple format first.`);
+            this.elements.wordSizeSelect.value = this.emulator.wordSize;
+            return;
+        }
+        
+        this.emulator.setWordSize(trits);
+        
+        // Trit mode packs a word's trits into a row, so the mapping depends on the word size
+        if (this.framebuffer && this.framebuffer.mode === 'trit') {
+            const { addresses, width, height, mode } = this.framebuffer;
+            this.mountFramebuffer({ base: addresses[0], width, height, mode });
+        }
+    }
+    
+    changeProfile(profile) {
+        if (this.emulator.running) {
+            alert('Cannot change machine profile while program is running. Please pause or reset first.');
+            this.elements.profileSelect.value = this.emulator.profile;
+            return;
+        }
+        
+        this.emulator.setProfile(profile);
+        this.elements.profileSelect.value = this.emulator.profile;
+        this.elements.instructionFormatSelect.value = this.emulator.instructionFormat;
+        this.elements.instructionFormatSelect.disabled = this.emulator.profile === 'historical';
+        this.validateSyntax();
+    }
+    
+    changeStackMode(mode) {
+        if (this.emulator.running) {
+            alert('Cannot change stack mode while program is running. Please pause or reset first.');
+            this.elements.stackModeSelect.value = this.emulator.stackMode;
+            return;
+        }
+        
+        this.emulator.setStackMode(mode);
+        this.elements.stackModeSelect.value = this.emulator.stackMode;
+    }
+    
+    setStackRegion() {
+        const start = parseInt(this.elements.stackStart.value);
+        const end = parseInt(this.elements.stackEnd.value);
+        
+        if (isNaN(start) || isNaN(end)) {
+            alert('Please enter valid start and end addresses for the stack');
+            return;
+        }
+        
+        try {
+            this.emulator.setStackRegion(start, end);
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        
+        this.elements.stackStart.value = '';
+        this.elements.stackEnd.value = '';
+    }
+    
+    changeInstructionFormat(format) {
+        if (this.emulator.running) {
+            alert('Cannot change instruction format while program is running. Please pause or reset first.');
+            this.elements.instructionFormatSelect.value = this.emulator.instructionFormat;
+            return;
+        }
+        
+        try {
+            this.emulator.setInstructionFormat(format);
+        } catch (e) {
+            alert(e.message);
+        }
+        this.elements.instructionFormatSelect.value = this.emulator.instructionFormat;
+        this.validateSyntax();
+    }
+    
     formatMemoryValue(value) {
         switch (this.memoryViewMode) {
             case 'ternary':
@@ -700,6 +1808,13 @@ class SetunApp {
         const state = this.emulator.getState();
         this.elements.breakpointList.innerHTML = '';
         
+        // Forget the lines of breakpoints removed since
+        for (const address of [...this.breakpointLines.keys()]) {
+            if (!state.breakpoints.has(address)) {
+                this.breakpointLines.delete(address);
+            }
+        }
+        
         if (state.breakpoints.size === 0) {
             const emptyState = document.createElement('div');
             emptyState.className = 'empty-state';
@@ -710,14 +1825,20 @@ class SetunApp {
             sortedBreakpoints.forEach(addr => {
                 const item = document.createElement('div');
                 item.className = 'breakpoint-item';
+                const source = this.getBreakpointLine(addr);
+                const where = source && this.files.size > 1 ? ` · ${source.file} line ${source.line + 1}` :
+                    source ? ` · line ${source.line + 1}` : '';
                 item.innerHTML = `
-                    <span class="breakpoint-addr">Address ${addr}</span>
+                    <span class="breakpoint-addr">Address ${addr}${this.escapeHtml(where)}</span>
                     <span class="breakpoint-ternary">${SetunEmulator.toBalancedTernary(addr)}</span>
                     <button class="btn-remove" onclick="app.removeBreakpoint(${addr})">×</button>
                 `;
                 this.elements.breakpointList.appendChild(item);
             });
         }
+        
+        // Breakpoint markers in the editor gutter
+        this.updateLineNumbers();
     }
     
     updateConditionalBreakpointsList() {
@@ -827,10 +1948,25 @@ class SetunApp {
         });
         
         // Update tab content
-        document.getElementById('memoryTab').classList.toggle('active', tabName === 'memory');
-        document.getElementById('memoryTab').classList.toggle('hidden', tabName !== 'memory');
-        document.getElementById('helpTab').classList.toggle('active', tabName === 'help');
-        document.getElementById('helpTab').classList.toggle('hidden', tabName !== 'help');
+        document.querySelectorAll('.tab-content').forEach(tab => {
+            tab.classList.toggle('active', tab.id === `${tabName}Tab`);
+            tab.classList.toggle('hidden', tab.id !== `${tabName}Tab`);
+        });
+        
+        this.activeTab = tabName;
+        if (tabName === 'drum') {
+            this.updateDrumView();
+        } else if (tabName === 'tape') {
+            this.updateTapeView();
+        } else if (tabName === 'display') {
+            this.updateFramebufferView(true);
+        } else if (tabName === 'listing') {
+            this.updateListingView();
+        } else if (tabName === 'disassembly') {
+            this.updateDisassemblyView();
+        } else if (tabName === 'compiled') {
+            this.updateCompiledView();
+        }
     }
     
     handleError(message) {
@@ -840,17 +1976,46 @@ class SetunApp {
         this.elements.syntaxError.classList.remove('hidden');
     }
     
+    /**
+     * Show a strict mode fault with its type, address and instruction
+     */
+    handleFault(fault) {
+        this.pause();
+        this.updateStatus('error');
+        const title = SetunFault.TITLES[fault.type] || 'Fault';
+        const instruction = `${SetunEmulator.toBalancedTernary(fault.instruction)} (${this.emulator.formatInstruction(fault.instruction)})`;
+        this.elements.syntaxError.textContent =
+            `${title} at address ${fault.pc}, instruction ${instruction}: ${fault.message}`;
+        this.elements.syntaxError.classList.remove('hidden');
+    }
+    
+    handleWarning(message) {
+        this.elements.runtimeWarning.textContent = `Warning: ${message}`;
+        this.elements.runtimeWarning.classList.remove('hidden');
+    }
+    
     handleHalt(message) {
         this.pause();
         this.updateStatus('halted');
         console.log('Halted:', message);
     }
     
+    /**
+     * Escape text for use in HTML content and attributes
+     */
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+    
     /**
      * Update line numbers in the editor with fold indicators and error markers
      */
     updateLineNumbers() {
         const lines = this.elements.editor.value.split('\n');
+        const breakpointLines = new Set([...this.emulator.breakpoints]
+            .map(address => this.getBreakpointLine(address))
+            .filter(source => source && source.file === this.activeFile)
+            .map(source => source.line));
         
         // Find fold regions
         const foldRegions = this.findFoldRegions(lines);
@@ -865,19 +2030,31 @@ class SetunApp {
                 foldIndicator = `<span class="fold-indicator" data-line="${index}">${icon}</span>`;
             }
             
-            // Check for errors on this line
+            // Check for errors and warnings on this line
             let errorIndicator = '';
             let lineNumberClass = '';
             if (this.lineErrors.has(index)) {
-                const errorMsg = this.lineErrors.get(index);
-                errorIndicator = `<span class="error-indicator" title="${errorMsg}">⚠<span class="error-tooltip">${errorMsg}</span></span>`;
-                lineNumberClass = ' line-number-error';
+                const { message, severity } = this.lineErrors.get(index);
+                const errorMsg = this.escapeHtml(message);
+                const indicatorClass = severity === 'warning' ? 'error-indicator warning-indicator' : 'error-indicator';
+                errorIndicator = `<span class="${indicatorClass}" title="${errorMsg}">⚠<span class="error-tooltip">${errorMsg}</span></span>`;
+                lineNumberClass = severity === 'warning' ? ' line-number-warning' : ' line-number-error';
+            }
+            
+            let breakpointIndicator = '';
+            if (breakpointLines.has(index)) {
+                breakpointIndicator = '<span class="breakpoint-indicator" title="Breakpoint">●</span>';
+                lineNumberClass += ' line-number-breakpoint';
+            }
+            if (index === this.currentLine) {
+                lineNumberClass += ' line-number-current';
             }
             
-            return `<div class="${lineNumberClass}">${foldIndicator}${index + 1}${errorIndicator}</div>`;
+            return `<div class="${lineNumberClass}">${breakpointIndicator}${foldIndicator}${index + 1}${errorIndicator}</div>`;
         }).join('');
         
         this.elements.lineNumbers.innerHTML = lineNumbersHtml;
+        this.positionCurrentLine();
         
         // Add click handlers for fold indicators
         this.elements.lineNumbers.querySelectorAll('.fold-indicator').forEach(el => {
@@ -967,12 +2144,16 @@ class SetunApp {
      */
     syncScroll() {
         this.elements.lineNumbers.scrollTop = this.elements.editor.scrollTop;
+        this.positionCurrentLine();
     }
     
     /**
      * Handle autocomplete suggestions
      */
     handleAutocomplete() {
+        // Mnemonics are no help in Tern source
+        if (SetunCompiler.isSource(this.activeFile)) return;
+        
         const cursorPos = this.elements.editor.selectionStart;
         const text = this.elements.editor.value.substring(0, cursorPos);
         const lines = text.split('\n');
@@ -983,7 +2164,8 @@ class SetunApp {
         
         if (match && match[1].length > 0) {
             const partial = match[1].toUpperCase();
-            this.autocompleteSuggestions = this.opcodeInfo.filter(op => 
+            const opcodeInfo = this.emulator.profile === 'historical' ? this.historicalOpcodeInfo : this.opcodeInfo;
+            this.autocompleteSuggestions = opcodeInfo.filter(op => 
                 op.mnemonic.startsWith(partial)
             );
             
@@ -1134,6 +2316,7 @@ class SetunApp {
             this.elements.editor.selectionStart = startPos + suggestion.mnemonic.length;
             this.elements.editor.selectionEnd = this.elements.editor.selectionStart;
             
+            this.followEdit(newText);
             this.validateSyntax();
             this.updateLineNumbers();
         }
@@ -1188,8 +2371,31 @@ class SetunApp {
         this.elements.protectEnd.value = '';
     }
     
+    setMemoryPermissions() {
+        const start = parseInt(this.elements.protectStart.value);
+        const end = parseInt(this.elements.protectEnd.value);
+        
+        if (isNaN(start) || isNaN(end)) {
+            alert('Please enter valid start and end addresses');
+            return;
+        }
+        
+        if (start < 0 || end >= this.emulator.memory.length || start > end) {
+            alert(`Addresses must be between 0 and ${this.emulator.memory.length - 1}, with start <= end`);
+            return;
+        }
+        
+        this.emulator.setRegionPermissions(start, end, this.elements.permissionSelect.value);
+        this.updateVisualization();
+        
+        // Clear inputs
+        this.elements.protectStart.value = '';
+        this.elements.protectEnd.value = '';
+    }
+    
     clearMemoryProtection() {
         this.emulator.clearMemoryProtection();
+        this.emulator.clearRegionPermissions();
         this.updateVisualization();
     }
     
@@ -1200,16 +2406,9 @@ class SetunApp {
         const state = {
             version: '1.0',
             timestamp: new Date().toISOString(),
-            memorySize: this.emulator.memorySize,
-            memory: this.emulator.memory,
-            accumulator: this.emulator.accumulator,
-            programCounter: this.emulator.programCounter,
-            instructionRegister: this.emulator.instructionRegister,
-            protectedMemory: Array.from(this.emulator.protectedMemory),
-            breakpoints: Array.from(this.emulator.breakpoints),
-            conditionalBreakpoints: this.emulator.conditionalBreakpoints,
-            watches: this.emulator.watches,
-            program: this.elements.editor.value
+            ...this.emulator.exportState(),
+            program: this.files.get(this.activeFile),
+            files: [...this.files]
         };
         
         const json = JSON.stringify(state, null, 2);
@@ -1248,53 +2447,29 @@ class SetunApp {
                     throw new Error('Invalid memory state file');
                 }
                 
-                // Reset and load state
+                // Resize memory if needed, then load the machine state
                 this.pause();
-                this.emulator.reset();
-                
-                // Resize memory if needed
                 if (state.memorySize && state.memorySize !== this.emulator.memorySize) {
                     this.changeMemorySize(state.memorySize);
                 }
+                this.emulator.restoreState(state);
                 
-                // Restore memory and registers
-                this.emulator.memory = [...state.memory];
-                if (state.accumulator !== undefined) {
-                    this.emulator.accumulator = state.accumulator;
-                }
-                if (state.programCounter !== undefined) {
-                    this.emulator.programCounter = state.programCounter;
-                }
-                if (state.instructionRegister !== undefined) {
-                    this.emulator.instructionRegister = state.instructionRegister;
-                }
-                
-                // Restore protected memory
-                if (state.protectedMemory && Array.isArray(state.protectedMemory)) {
-                    this.emulator.protectedMemory = new Set(state.protectedMemory);
-                }
-                
-                // Restore breakpoints
-                if (state.breakpoints && Array.isArray(state.breakpoints)) {
-                    this.emulator.breakpoints = new Set(state.breakpoints);
-                }
-                
-                // Restore conditional breakpoints
-                if (state.conditionalBreakpoints && Array.isArray(state.conditionalBreakpoints)) {
-                    this.emulator.conditionalBreakpoints = state.conditionalBreakpoints;
-                }
-                
-                // Restore watches
-                if (state.watches && Array.isArray(state.watches)) {
-                    this.emulator.watches = state.watches;
-                }
+                this.elements.wordSizeSelect.value = this.emulator.wordSize;
+                this.elements.overflowModeSelect.value = this.emulator.overflowMode;
+                this.elements.profileSelect.value = this.emulator.profile;
+                this.elements.instructionFormatSelect.value = this.emulator.instructionFormat;
+                this.elements.instructionFormatSelect.disabled = this.emulator.profile === 'historical';
+                this.elements.executionModeSelect.value = this.emulator.strictMode ? 'strict' : 'lenient';
+                this.elements.stackModeSelect.value = this.emulator.stackMode;
                 
-                // Restore program code
-                if (state.program) {
-                    this.elements.editor.value = state.program;
-                    this.validateSyntax();
-                    this.updateLineNumbers();
+                // Restore the project's files, or the program of older exports
+                if (Array.isArray(state.files) && state.files.length > 0) {
+                    this.setProject(state.files);
+                } else if (state.program) {
+                    this.setProject([['main.tas', state.program]]);
                 }
+                this.validateSyntax();
+                this.updateLineNumbers();
                 
                 this.updateVisualization();
                 
@@ -1374,28 +2549,195 @@ class SetunApp {
     }
     
     /**
-     * Toggle breakpoint at current cursor line in editor
+     * Toggle a breakpoint on the cursor's line, at the first word assembled
+     * from it; lines without code use the next line that has some
      */
     toggleBreakpointAtCursor() {
+        if (!this.program || this.program.errors.length > 0) {
+            alert('Fix the errors in the program before setting a breakpoint');
+            return;
+        }
+        
         const cursorPos = this.elements.editor.selectionStart;
-        const textBeforeCursor = this.elements.editor.value.substring(0, cursorPos);
-        const lineNumber = textBeforeCursor.split('\n').length - 1;
+        const lineNumber = this.elements.editor.value.substring(0, cursorPos).split('\n').length - 1;
+        const target = this.findLineAddress(lineNumber, true);
+        if (!target) return;
         
-        // Calculate memory address for this line
-        // This is approximate - in reality would need proper parsing
-        const lines = this.elements.editor.value.split('\n');
-        let memAddr = 0;
+        if (this.emulator.toggleBreakpoint(target.address)) {
+            this.breakpointLines.set(target.address, { file: this.activeFile, line: target.line });
+        } else {
+            this.breakpointLines.delete(target.address);
+        }
+        this.updateVisualization();
+        this.updateBreakpointsList();
+    }
+    
+    /**
+     * First address assembled from a line of a project file (by default the
+     * active one), as { address, line }, or null. With searchForward a line
+     * without code gives the next one with code.
+     */
+    findLineAddress(line, searchForward = false, file = this.activeFile) {
+        let found = null;
+        this.program.sourceMap.forEach((location, address) => {
+            if (location.file !== file ||
+                !(location.line === line || (searchForward && location.line > line))) {
+                return;
+            }
+            if (!found || location.line < found.line || (location.line === found.line && address < found.address)) {
+                found = { address, line: location.line };
+            }
+        });
+        return found;
+    }
+    
+    /**
+     * Source line a breakpoint is on, as { file, line }, or null if it is
+     * not in the program
+     */
+    getBreakpointLine(address) {
+        if (this.breakpointLines.has(address)) {
+            return this.breakpointLines.get(address);
+        }
+        const location = this.program && this.program.errors.length === 0 ? this.program.sourceMap[address] : null;
+        return location && this.files.has(location.file) ? { file: location.file, line: location.line } : null;
+    }
+    
+    /**
+     * Move breakpoint lines through an edit of the active file. Lines after
+     * the changed region shift with it; lines the edit removed lose their
+     * breakpoints.
+     */
+    followEdit(text) {
+        // Attach breakpoints set since the last assembly before their lines move
+        [...this.emulator.breakpoints].forEach(address => {
+            const source = this.getBreakpointLine(address);
+            if (source !== null) {
+                this.breakpointLines.set(address, source);
+            }
+        });
         
-        for (let i = 0; i < lineNumber && i < lines.length; i++) {
-            const tokens = lines[i].trim().split(/\s+/).filter(t => t && !t.startsWith(';'));
-            memAddr += tokens.length;
+        const oldLines = this.editorText.split('\n');
+        const newLines = text.split('\n');
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+            start++;
         }
+        let unchangedEnd = 0;
+        while (unchangedEnd < oldLines.length - start && unchangedEnd < newLines.length - start &&
+            oldLines[oldLines.length - 1 - unchangedEnd] === newLines[newLines.length - 1 - unchangedEnd]) {
+            unchangedEnd++;
+        }
+        const oldEnd = oldLines.length - unchangedEnd;
+        const newEnd = newLines.length - unchangedEnd;
         
-        if (memAddr < this.emulator.memory.length) {
-            this.emulator.toggleBreakpoint(memAddr);
-            this.updateVisualization();
-            this.updateBreakpointsList();
+        for (const [address, { file, line }] of [...this.breakpointLines]) {
+            if (file !== this.activeFile) {
+                continue;
+            }
+            if (line >= oldEnd) {
+                this.breakpointLines.set(address, { file, line: line + newEnd - oldEnd });
+            } else if (line >= newEnd) {
+                this.breakpointLines.delete(address);
+                this.emulator.removeBreakpoint(address);
+            }
+        }
+        this.editorText = text;
+    }
+    
+    /**
+     * After a successful assembly, move each breakpoint to the first address
+     * of the line it is attached to, dropping it if the line no longer
+     * assembles to anything
+     */
+    attachBreakpoints() {
+        const sources = [];
+        for (const [address, source] of this.breakpointLines) {
+            if (this.emulator.breakpoints.has(address)) {
+                this.emulator.removeBreakpoint(address);
+                sources.push(source);
+            }
+        }
+        
+        this.breakpointLines.clear();
+        sources.forEach(source => {
+            const target = this.findLineAddress(source.line, false, source.file);
+            if (target) {
+                this.emulator.addBreakpoint(target.address);
+                this.breakpointLines.set(target.address, source);
+            }
+        });
+        this.updateBreakpointsList();
+    }
+    
+    /**
+     * Highlight the editor line of the instruction at PC once a program is loaded,
+     * scrolling it into view (and switching to its file) while stepping
+     */
+    updateCurrentLine(state) {
+        const location = state.instructionCount > 0 ? this.emulator.getSourceLocation(state.programCounter) : null;
+        if (location && location.file !== this.activeFile && this.files.has(location.file) && !this.emulator.running) {
+            this.switchFile(location.file);
+            return;
+        }
+        const line = location && location.file === this.activeFile ? location.line : null;
+        if (line === this.currentLine) return;
+        
+        this.currentLine = line;
+        if (line !== null && !this.emulator.running) {
+            this.scrollToLine(line);
+        }
+        this.updateLineNumbers();
+    }
+    
+    positionCurrentLine() {
+        const highlight = this.elements.pcLineHighlight;
+        highlight.classList.toggle('hidden', this.currentLine === null);
+        if (this.currentLine === null) return;
+        
+        const editor = this.elements.editor;
+        const style = getComputedStyle(editor);
+        const lineHeight = parseFloat(style.lineHeight);
+        highlight.style.top = `${editor.offsetTop + parseFloat(style.paddingTop) + this.currentLine * lineHeight - editor.scrollTop}px`;
+        highlight.style.left = `${editor.offsetLeft}px`;
+        highlight.style.height = `${lineHeight}px`;
+    }
+    
+    /**
+     * Scroll the editor so a line is visible
+     */
+    scrollToLine(line) {
+        const editor = this.elements.editor;
+        const lineHeight = parseFloat(getComputedStyle(editor).lineHeight);
+        const top = line * lineHeight;
+        if (top < editor.scrollTop || top + lineHeight > editor.scrollTop + editor.clientHeight) {
+            editor.scrollTop = Math.max(0, top - editor.clientHeight / 2);
+            this.syncScroll();
+        }
+    }
+    
+    /**
+     * Select the source of a memory cell in the editor, switching to its file
+     */
+    showSource(address) {
+        const location = this.emulator.getSourceLocation(address);
+        if (!location || !this.files.has(location.file)) {
+            return;
         }
+        this.switchFile(location.file);
+        
+        const editor = this.elements.editor;
+        const lines = editor.value.split('\n');
+        if (location.line >= lines.length) {
+            return;
+        }
+        
+        const lineStart = lines.slice(0, location.line).reduce((sum, text) => sum + text.length + 1, 0);
+        const start = lineStart + location.column - 1;
+        const token = /^[^\s;,]*/.exec(lines[location.line].slice(location.column - 1))[0];
+        editor.focus();
+        editor.setSelectionRange(start, start + token.length);
+        this.scrollToLine(location.line);
     }
     
     /**
@@ -0,0 +1,1205 @@
+/**
+ * Setun - Symbolic assembler
+ * Two-pass assembler for the emulator's instruction sets. The first pass
+ * lays out statements and collects symbols, the second encodes them into
+ * words.
+ *
+ * Syntax, one or more statements per line:
+ *   loop:            Define a label at the current address
+ *   ADD 5            Mnemonic (any case) with its operand on the same line
+ *   JNZ loop         Label operands are resolved in the second pass
+ *   +0-              A bare literal is stored as a data word (raw ternary)
+ *   +:+0             Packed format: a raw opcode:address word
+ *   ; comment        Runs to the end of the line
+ *
+ * Directives take the rest of their line, arguments separated by spaces
+ * or commas:
+ *   .ORG 20          Continue assembling at address 20
+ *   .WORD 5, -1, x   One word per value
+ *   .FILL 4, 7       4 words of 7 (the value defaults to 0)
+ *   .SPACE 10        Reserve 10 words, left zero
+ *   .STRING "HI"     A length word, then one teletype code per character
+ *   .EQU SIZE 9      Name a constant
+ *   .INCLUDE "m.inc" Assemble another file's lines in place
+ *   .EXPORT add, sum Make symbols visible to other modules
+ *   .IMPORT print    Use a symbol exported by another module
+ * Counts, .ORG addresses and .EQU values may only use symbols defined
+ * above them.
+ *
+ * A relocatable module (options.relocatable) is assembled from address 0
+ * for SetunLinker to place; its .ORG addresses are relative to the module.
+ * The words holding its labels and imported symbols are listed in
+ * relocations for the linker to adjust.
+ *
+ * Operands and directive values are expressions, written without spaces:
+ * literals, symbols and $ (the address of the current statement) joined
+ * by + - * / and parentheses, as in TABLE+3 or (END-TABLE)/2. Division
+ * rounds to the nearest integer, like DIV.
+ *
+ * Literals made only of +, 0 and - are balanced ternary; other digit
+ * strings such as 42 or -7 are decimal. Any other literal of +, 0, - and 1
+ * (another way to write +, as in raw programs) is balanced ternary too, so
+ * 1- is 2 and +1 is 4. A bare word of the digits 0 and 1 that reads
+ * differently in the two bases, such as 10 or -1, is an error: write 0d10
+ * or +0 instead. A prefix gives the base, which ternary literals need
+ * inside an expression:
+ *   0d42             Decimal
+ *   0t+0-            Balanced ternary
+ *   0h1Z             Balanced heptavintimal (base 27): digits 0-9 and A-D
+ *                    stand for 0 to 13, N-Z for -13 to -1
+ * A 0t literal takes every +, 0 and - after it: write (0t+0-)+1.
+ *
+ * In the packed format an operand may carry an address mode prefix:
+ * @x sets the modifier trit to + (indirect; in the historical profile A + F)
+ * and ~x sets it to - (relative to the instruction; historical A - F).
+ */
+
+/**
+ * Thrown when a program does not assemble. errors holds every
+ * { file, line, column, message } found; line is 0-based, column 1-based.
+ */
+class SetunAssemblyError extends Error {
+    constructor(errors) {
+        const first = errors[0];
+        super(`${first.file ? `${first.file}, line` : 'Line'} ${first.line + 1}, column ${first.column}: ${first.message}`);
+        this.name = 'SetunAssemblyError';
+        this.errors = errors;
+    }
+}
+
+class SetunAssembler {
+    /**
+     * The emulator supplies the opcode table, instruction format, word size
+     * and memory size to assemble for
+     */
+    constructor(emulator) {
+        this.emulator = emulator;
+    }
+    
+    /**
+     * Value of a numeric literal, or null if the text is not one
+     */
+    static parseLiteral(text) {
+        if (/^[+\-−_0]+$/.test(text)) {
+            return SetunEmulator.fromBalancedTernary(text);
+        }
+        if (/^-?\d+$/.test(text)) {
+            return parseInt(text, 10);
+        }
+        if (/^[+\-−_01]+$/.test(text)) {
+            return SetunEmulator.fromBalancedTernary(text);
+        }
+        if (/^0d\d+$/i.test(text)) {
+            return parseInt(text.slice(2), 10);
+        }
+        if (/^0t[+\-−_0]+$/i.test(text)) {
+            return SetunEmulator.fromBalancedTernary(text.slice(2));
+        }
+        if (/^0h[0-9a-dn-z]+$/i.test(text)) {
+            return [...text.slice(2).toUpperCase()]
+                .reduce((value, digit) => value * 27 + SetunAssembler.HEPTAVINTIMAL_DIGITS.indexOf(digit) - 13, 0);
+        }
+        return null;
+    }
+    
+    /**
+     * Evaluate an expression (see the syntax above). resolve(name, offset)
+     * gives the term a symbol or $ stands for, or throws.
+     *
+     * Terms are { value, labels, imports }: labels counts the program
+     * addresses added in, less those subtracted, and imports does the same
+     * for each imported symbol, so that relocatable values can be told
+     * apart; labels is null once an address is multiplied or divided.
+     * Throws an Error whose offset is the position of the problem in text.
+     */
+    static evaluateExpression(text, resolve) {
+        const literal = SetunAssembler.parseLiteral(text);
+        if (literal !== null) {
+            return SetunAssembler.constantTerm(literal);
+        }
+        
+        const tokens = [];
+        const pattern = /(0d\d+|0t[+\-−_0]+|0h[0-9a-dn-z]+|\d+)|([A-Za-z_][A-Za-z0-9_]*|\$)|([-−+*\/()])/iy;
+        while (pattern.lastIndex < text.length) {
+            const offset = pattern.lastIndex;
+            const match = pattern.exec(text);
+            if (!match) {
+                throw SetunAssembler.expressionError(`Unexpected "${text[offset]}" in expression`, offset);
+            }
+            const kind = match[1] ? 'number' : match[2] ? 'name' : 'operator';
+            tokens.push({ kind, text: match[0].replace('−', '-'), offset });
+        }
+        
+        let index = 0;
+        const peek = (...operators) => index < tokens.length && tokens[index].kind === 'operator' &&
+            operators.includes(tokens[index].text);
+        const isConstant = term => term.labels === 0 && [...term.imports.values()].every(count => count === 0);
+        const combine = (a, b, sign, value = a.value + sign * b.value) => {
+            const imports = new Map(a.imports);
+            for (const [name, count] of b.imports) {
+                imports.set(name, (imports.get(name) || 0) + sign * count);
+            }
+            const labels = a.labels === null || b.labels === null ? null : a.labels + sign * b.labels;
+            return { value, labels, imports };
+        };
+        const scale = (term, factor) => ({
+            value: term.value * factor,
+            labels: term.labels === null ? null : term.labels * factor,
+            imports: new Map([...term.imports].map(([name, count]) => [name, count * factor]))
+        });
+        
+        const sum = () => {
+            let term = product();
+            while (peek('+', '-')) {
+                const sign = tokens[index++].text === '+' ? 1 : -1;
+                term = combine(term, product(), sign);
+            }
+            return term;
+        };
+        const product = () => {
+            let term = unary();
+            while (peek('*', '/')) {
+                const operator = tokens[index++];
+                const right = unary();
+                if (operator.text === '*') {
+                    term = isConstant(term) ? scale(right, term.value) :
+                        isConstant(right) ? scale(term, right.value) :
+                        { ...combine(term, right, 1, term.value * right.value), labels: null };
+                } else if (right.value === 0) {
+                    throw SetunAssembler.expressionError('Division by zero', operator.offset);
+                } else {
+                    const quotient = SetunEmulator.balancedDivide(term.value, right.value).quotient;
+                    term = isConstant(term) && isConstant(right) ? SetunAssembler.constantTerm(quotient) :
+                        { ...combine(term, right, 1, quotient), labels: null };
+                }
+            }
+            return term;
+        };
+        const unary = () => {
+            if (peek('+', '-')) {
+                const sign = tokens[index++].text === '+' ? 1 : -1;
+                return combine(SetunAssembler.constantTerm(0), unary(), sign);
+            }
+            return primary();
+        };
+        const primary = () => {
+            const token = tokens[index++];
+            if (!token) {
+                throw SetunAssembler.expressionError('Expected a value', text.length);
+            }
+            if (token.kind === 'number') {
+                return SetunAssembler.constantTerm(SetunAssembler.parseLiteral(token.text));
+            }
+            if (token.kind === 'name') {
+                return resolve(token.text, token.offset);
+            }
+            if (token.text !== '(') {
+                throw SetunAssembler.expressionError(`Expected a value, got "${token.text}"`, token.offset);
+            }
+            const term = sum();
+            if (!peek(')')) {
+                throw SetunAssembler.expressionError('Missing ")"', index < tokens.length ? tokens[index].offset : text.length);
+            }
+            index++;
+            return term;
+        };
+        
+        const term = sum();
+        if (index < tokens.length) {
+            throw SetunAssembler.expressionError(`Unexpected "${tokens[index].text}" in expression`, tokens[index].offset);
+        }
+        return term;
+    }
+    
+    static constantTerm(value) {
+        return { value, labels: 0, imports: new Map() };
+    }
+    
+    static expressionError(message, offset) {
+        const error = new Error(message);
+        error.offset = offset;
+        return error;
+    }
+    
+    static isIdentifier(text) {
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(text);
+    }
+    
+    /**
+     * Split a line into tokens with 1-based columns, stopping at a comment.
+     * Quoted strings are single tokens; commas separate like spaces.
+     */
+    static tokenize(line) {
+        const tokens = [];
+        const pattern = /"(?:[^"\\]|\\.)*"?|;|[^\s;,"]+/g;
+        let match;
+        while ((match = pattern.exec(line)) !== null) {
+            if (match[0] === ';') break;
+            tokens.push({ text: match[0], column: match.index + 1 });
+        }
+        return tokens;
+    }
+    
+    /**
+     * Characters of a quoted string token, or null if it is not a complete
+     * one. \n, \" and \\ are escapes.
+     */
+    static parseString(text) {
+        const match = /^"((?:[^"\\]|\\.)*)"$/.exec(text);
+        if (!match) {
+            return null;
+        }
+        const escapes = { n: '\n' };
+        return [...match[1].replace(/\\(.)/g, (escape, char) => escapes[char] || char)];
+    }
+    
+    /**
+     * Assemble source text. Returns { words, symbols, labels, lines,
+     * sourceMap, kinds, listing, expandedListing, exports, imports,
+     * relocations, errors }: words to load from address 0, symbol values by
+     * name, the names among them that are address labels rather than
+     * constants, the line of the source each word is listed under, the
+     * { file, line, column } each word came from, what each word is ('code'
+     * for an instruction, 'operand', 'data' from a directive, or 'word' for
+     * a bare value that may be either), a listing row per source line and
+     * per line after macro expansion, the module's exported symbols
+     * ({ value, relocatable } by name), imported symbols (their .IMPORT
+     * location by name), the words the linker must adjust, and any errors
+     * (the words are unusable if there are errors).
+     *
+     * options.file names the source; options.readFile(name) returns the
+     * text of a file for .INCLUDE, or null; options.relocatable assembles a
+     * module for SetunLinker.
+     */
+    assemble(source, options = {}) {
+        this.file = options.file || null;
+        this.readFile = options.readFile || null;
+        this.relocatable = options.relocatable || false;
+        this.errors = [];
+        this.symbols = new Map();
+        this.labels = new Set();       // Symbols that name addresses (not .EQU constants)
+        this.definedOn = new Map();    // Symbol -> entry that defined it
+        this.imports = new Map();      // Imported symbol -> location of its .IMPORT
+        this.exported = [];            // .EXPORT names: { name, statement, column }
+        this.relocations = [];
+        
+        const sourceLines = (source || '').split('\n');
+        const entries = this.preprocess(sourceLines);
+        const statements = this.parse(entries);
+        this.layout(statements);
+        const exports = this.resolveExports();
+        const { words, lines, sourceMap, kinds, sources } = this.encode(statements);
+        
+        // Errors in the assembled file first, then by included file
+        const fileOrder = error => error.file === this.file ? '' : error.file;
+        this.errors.sort((a, b) => fileOrder(a).localeCompare(fileOrder(b)) || a.line - b.line || a.column - b.column);
+        return {
+            words,
+            symbols: this.symbols,
+            labels: this.labels,
+            lines,
+            sourceMap,
+            kinds,
+            listing: this.buildListing(sourceLines, statements, words, lines),
+            expandedListing: this.buildExpandedListing(entries, statements, words, sources),
+            exports,
+            imports: this.imports,
+            relocations: this.relocations,
+            errors: this.errors
+        };
+    }
+    
+    /**
+     * Record an error against a source entry (see preprocess). Errors inside
+     * a macro expansion are reported at the call site and name the line of
+     * the macro definition; definitionLine carries that line too.
+     */
+    error(source, column, message) {
+        const location = this.location(source, column);
+        if (source.macro) {
+            this.errors.push({
+                ...location,
+                message: `${message} (in macro ${source.macro}, line ${source.definitionLine + 1}, column ${column})`,
+                definitionLine: source.definitionLine,
+                definitionFile: source.definitionFile
+            });
+        } else {
+            this.errors.push({ ...location, message });
+        }
+    }
+    
+    /**
+     * Where a column of an entry is reported, as { file, line, column }:
+     * the call site for lines from a macro
+     */
+    location(source, column) {
+        return { file: source.file, line: source.line, column: source.macro ? source.callColumn : column };
+    }
+    
+    /**
+     * "line 4", naming the file when it is not the one being assembled
+     */
+    describeLine(entry) {
+        return `line ${entry.line + 1}${entry.file !== this.file ? ` of ${entry.file}` : ''}`;
+    }
+    
+    /**
+     * Expand includes, macros, repeat blocks and conditional assembly.
+     * Returns the lines left to assemble as entries { text, file, line,
+     * rootLine, macro, definitionFile, definitionLine, callColumn }: file
+     * and line are where the entry is reported (the outermost call site for
+     * macro expansions), rootLine is the line of the assembled source it is
+     * listed under, macro, definitionFile and definitionLine name the macro
+     * body line it came from, and callColumn is the column of the call.
+     */
+    preprocess(sourceLines) {
+        this.macros = new Map();     // Upper-case name -> { name, params, body, line }
+        this.constants = new Map();  // .EQU values known while expanding, for .IF and .REPT
+        this.expansionCount = 0;     // Numbers local labels uniquely per expansion
+        this.including = [this.file]; // Files being included, outermost first
+        
+        return this.expandEntries(this.fileEntries(sourceLines, this.file, null), 0);
+    }
+    
+    fileEntries(sourceLines, file, rootLine) {
+        return sourceLines.map((text, line) => ({
+            text,
+            file,
+            line,
+            rootLine: rootLine === null ? line : rootLine,
+            macro: null,
+            definitionFile: null,
+            definitionLine: null,
+            callColumn: null
+        }));
+    }
+    
+    expandEntries(entries, depth) {
+        const output = [];
+        const conditions = [];  // Open .IF blocks: { active, hasElse, entry }
+        
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const tokens = SetunAssembler.tokenize(entry.text);
+            const labelCount = tokens.findIndex(token => !SetunAssembler.isLabelToken(token.text));
+            const head = labelCount === -1 ? null : tokens[labelCount];
+            const name = head ? head.text.toUpperCase() : null;
+            const args = head ? tokens.slice(labelCount + 1) : [];
+            
+            if (name === '.IF') {
+                const enclosing = conditions.every(condition => condition.active);
+                let value = 0;
+                if (enclosing && args.length !== 1) {
+                    this.error(entry, head.column, 'Usage: .IF value');
+                } else if (enclosing) {
+                    value = this.evaluateConstant(args[0], entry, '.IF') || 0;
+                }
+                conditions.push({ active: enclosing && value !== 0, enclosing, hasElse: false, entry, column: head.column });
+                continue;
+            }
+            if (name === '.ELSE' || name === '.ENDIF') {
+                const condition = conditions[conditions.length - 1];
+                if (!condition) {
+                    this.error(entry, head.column, `${name} without a matching .IF`);
+                } else if (name === '.ENDIF') {
+                    conditions.pop();
+                } else if (condition.hasElse) {
+                    this.error(entry, head.column, 'Second .ELSE for the same .IF');
+                } else {
+                    condition.hasElse = true;
+                    condition.active = condition.enclosing && !condition.active;
+                }
+                continue;
+            }
+            if (!conditions.every(condition => condition.active)) {
+                continue;
+            }
+            
+            if (name === '.MACRO' || name === '.REPT') {
+                const end = this.findBlockEnd(entries, i, name);
+                if (end === -1) {
+                    this.error(entry, head.column, `${name} without a matching ${name === '.MACRO' ? '.ENDM' : '.ENDR'}`);
+                    break;
+                }
+                const body = entries.slice(i + 1, end);
+                if (name === '.MACRO') {
+                    this.defineMacro(args, body, entry, head);
+                } else {
+                    output.push(...this.repeatBlock(args, body, entry, head, depth));
+                }
+                i = end;
+                continue;
+            }
+            if (name === '.ENDM' || name === '.ENDR') {
+                this.error(entry, head.column, `${name} without a matching ${name === '.ENDM' ? '.MACRO' : '.REPT'}`);
+                continue;
+            }
+            if (name === '.INCLUDE') {
+                output.push(...this.includeFile(args, entry, head, depth));
+                continue;
+            }
+            
+            if (name === '.EQU' && args.length === 2 && SetunAssembler.isIdentifier(args[0].text)) {
+                try {
+                    const term = SetunAssembler.evaluateExpression(args[1].text, (symbol, offset) => this.resolveConstant(symbol, offset, name));
+                    this.constants.set(args[0].text, term.value);
+                } catch (e) {
+                    // Not a constant yet (it uses a label, say); layout reports any error
+                }
+            }
+            
+            const macro = name ? this.macros.get(name) : undefined;
+            if (macro) {
+                if (labelCount > 0) {
+                    // Labels in front of the call stay on the call line
+                    output.push({ ...entry, text: entry.text.slice(0, head.column - 1) });
+                }
+                output.push(...this.expandMacro(macro, args, entry, head, depth));
+                continue;
+            }
+            
+            output.push(entry);
+        }
+        
+        conditions.forEach(condition => this.error(condition.entry, condition.column, '.IF without a matching .ENDIF'));
+        return output;
+    }
+    
+    static isLabelToken(text) {
+        return text.endsWith(':') && SetunAssembler.isIdentifier(text.slice(0, -1));
+    }
+    
+    /**
+     * Index of the .ENDM or .ENDR closing the block opened at start, or -1.
+     * Repeat blocks nest; macro definitions do not.
+     */
+    findBlockEnd(entries, start, opener) {
+        const closer = opener === '.MACRO' ? '.ENDM' : '.ENDR';
+        let depth = 0;
+        for (let i = start + 1; i < entries.length; i++) {
+            const tokens = SetunAssembler.tokenize(entries[i].text).filter(token => !SetunAssembler.isLabelToken(token.text));
+            const name = tokens.length > 0 ? tokens[0].text.toUpperCase() : null;
+            if (name === opener) {
+                depth++;
+            } else if (name === closer) {
+                if (depth === 0) return i;
+                depth--;
+            }
+        }
+        return -1;
+    }
+    
+    defineMacro(args, body, entry, head) {
+        if (args.length === 0 || !SetunAssembler.isIdentifier(args[0].text)) {
+            this.error(entry, head.column, 'Usage: .MACRO name [param, ...]');
+            return;
+        }
+        const name = args[0].text;
+        const params = args.slice(1).map(arg => arg.text);
+        const bad = args.slice(1).find(arg => !SetunAssembler.isIdentifier(arg.text));
+        if (bad) {
+            this.error(entry, bad.column, `Invalid macro parameter "${bad.text}"`);
+            return;
+        }
+        if (this.emulator.getOpcodeTable()[name.toUpperCase()] !== undefined) {
+            this.error(entry, args[0].column, `Macro "${name}" is a mnemonic`);
+            return;
+        }
+        if (this.macros.has(name.toUpperCase())) {
+            this.error(entry, args[0].column, `Duplicate macro "${name}" (first defined on line ${this.macros.get(name.toUpperCase()).line + 1})`);
+            return;
+        }
+        const nested = body.find(line => /^\s*\.MACRO\b/i.test(line.text.replace(/^(\s*[A-Za-z_]\w*:)+/, '')));
+        if (nested) {
+            this.error(nested, 1, 'Macro definitions cannot be nested');
+            return;
+        }
+        this.macros.set(name.toUpperCase(), { name, params, body, line: entry.line });
+    }
+    
+    /**
+     * Body entries of one expansion: parameters (\name) replaced by the
+     * arguments, and local labels (%name) made unique to the expansion
+     */
+    instantiate(body, replacements, origin) {
+        const id = ++this.expansionCount;
+        return body.map(line => ({
+            ...line,
+            ...origin(line),
+            text: line.text
+                .replace(/\\([A-Za-z_]\w*)/g, (match, param) => replacements.has(param) ? replacements.get(param) : match)
+                .replace(/%([A-Za-z_]\w*)/g, (match, label) => `${label}__${id}`)
+        }));
+    }
+    
+    expandMacro(macro, args, entry, head, depth) {
+        if (depth >= SetunAssembler.MAX_EXPANSION_DEPTH) {
+            this.error(entry, head.column, `Macro expansion nested more than ${SetunAssembler.MAX_EXPANSION_DEPTH} deep`);
+            return [];
+        }
+        if (args.length !== macro.params.length) {
+            this.error(entry, head.column,
+                `Macro ${macro.name} takes ${macro.params.length} argument(s), got ${args.length} (defined on line ${macro.line + 1})`);
+            return [];
+        }
+        
+        const replacements = new Map(macro.params.map((param, i) => [param, args[i].text]));
+        const lines = this.instantiate(macro.body, replacements, line => ({
+            file: entry.file,
+            line: entry.line,
+            rootLine: entry.rootLine,
+            macro: macro.name,
+            definitionFile: line.file,
+            definitionLine: line.line,
+            callColumn: entry.macro ? entry.callColumn : head.column
+        }));
+        return this.expandEntries(lines, depth + 1);
+    }
+    
+    /**
+     * Lines of an included file, expanded in place. They are reported in
+     * their own file and listed under the .INCLUDE line.
+     */
+    includeFile(args, entry, head, depth) {
+        const chars = args.length === 1 ? SetunAssembler.parseString(args[0].text) : null;
+        if (chars === null) {
+            this.error(entry, head.column, 'Usage: .INCLUDE "file"');
+            return [];
+        }
+        const file = chars.join('');
+        if (this.including.includes(file)) {
+            this.error(entry, args[0].column, `"${file}" includes itself`);
+            return [];
+        }
+        const text = this.readFile ? this.readFile(file) : null;
+        if (text === null || text === undefined) {
+            this.error(entry, args[0].column, `Cannot find include file "${file}"`);
+            return [];
+        }
+        
+        this.including.push(file);
+        const lines = this.expandEntries(this.fileEntries(text.split('\n'), file, entry.rootLine), depth);
+        this.including.pop();
+        return lines;
+    }
+    
+    repeatBlock(args, body, entry, head, depth) {
+        if (args.length !== 1) {
+            this.error(entry, head.column, 'Usage: .REPT count');
+            return [];
+        }
+        const count = this.evaluateConstant(args[0], entry, '.REPT');
+        if (count === null) {
+            return [];
+        }
+        if (count < 0 || count > SetunAssembler.MAX_REPEAT) {
+            this.error(entry, args[0].column, `Repeat count must be between 0 and ${SetunAssembler.MAX_REPEAT}, got ${count}`);
+            return [];
+        }
+        
+        const output = [];
+        for (let i = 0; i < count; i++) {
+            // Repeated lines keep their own origin
+            output.push(...this.expandEntries(this.instantiate(body, new Map(), () => ({})), depth + 1));
+        }
+        return output;
+    }
+    
+    /**
+     * Value of an expression of literals and constants defined above, for
+     * .IF and .REPT. Returns null after reporting an error.
+     */
+    evaluateConstant(token, entry, directive) {
+        try {
+            return SetunAssembler.evaluateExpression(token.text, (name, offset) => this.resolveConstant(name, offset, directive)).value;
+        } catch (e) {
+            this.error(entry, token.column + e.offset, e.message);
+            return null;
+        }
+    }
+    
+    resolveConstant(name, offset, directive) {
+        if (!this.constants.has(name)) {
+            throw SetunAssembler.expressionError(`${directive} needs numbers and constants defined above, got "${name}"`, offset);
+        }
+        return SetunAssembler.constantTerm(this.constants.get(name));
+    }
+    
+    /**
+     * Turn entries into label, instruction, directive and word statements
+     */
+    parse(entries) {
+        const opcodes = this.emulator.getOpcodeTable();
+        const statements = [];
+        
+        entries.forEach(entry => {
+            const tokens = SetunAssembler.tokenize(entry.text);
+            const line = entry.line;
+            const source = entry;
+            
+            for (let i = 0; i < tokens.length; i++) {
+                const token = tokens[i];
+                
+                if (token.text.endsWith(':') && SetunAssembler.isIdentifier(token.text.slice(0, -1))) {
+                    statements.push({ kind: 'label', name: token.text.slice(0, -1), line, source, column: token.column });
+                    continue;
+                }
+                
+                if (token.text.startsWith('.')) {
+                    statements.push({ kind: 'directive', name: token.text.toUpperCase(), args: tokens.slice(i + 1), line, source, column: token.column });
+                    break;
+                }
+                
+                const mnemonic = token.text.toUpperCase();
+                if (SetunAssembler.isIdentifier(token.text) && opcodes[mnemonic] === undefined) {
+                    this.error(source, token.column, `Unknown mnemonic "${token.text}"`);
+                    continue;
+                }
+                if (opcodes[mnemonic] === undefined) {
+                    statements.push({ kind: 'word', text: token.text, line, source, column: token.column });
+                    continue;
+                }
+                
+                const statement = { kind: 'instruction', mnemonic, opcode: opcodes[mnemonic], operand: null, line, source, column: token.column };
+                if (this.emulator.hasOperand(statement.opcode)) {
+                    const operand = tokens[i + 1];
+                    if (!operand) {
+                        this.error(source, token.column, `${mnemonic} expects an operand`);
+                        continue;
+                    }
+                    statement.operand = operand;
+                    i++;
+                }
+                statements.push(statement);
+            }
+        });
+        
+        return statements;
+    }
+    
+    /**
+     * Record a symbol, rejecting mnemonics and duplicates
+     */
+    define(name, value, statement, isLabel) {
+        if (this.emulator.getOpcodeTable()[name.toUpperCase()] !== undefined) {
+            this.error(statement.source, statement.column, `Symbol "${name}" is a mnemonic`);
+        } else if (this.symbols.has(name)) {
+            this.error(statement.source, statement.column,
+                `Duplicate symbol "${name}" (first defined on ${this.describeLine(this.definedOn.get(name))})`);
+        } else if (this.imports.has(name)) {
+            this.error(statement.source, statement.column, `Symbol "${name}" is imported, so it cannot be defined here`);
+        } else {
+            this.symbols.set(name, value);
+            this.definedOn.set(name, statement.source);
+            if (isLabel) {
+                this.labels.add(name);
+            }
+        }
+    }
+    
+    /**
+     * First pass: give each statement its address and size, and define
+     * labels and constants. Statements that place no words get size 0.
+     */
+    layout(statements) {
+        const memorySize = this.emulator.memory.length;
+        const usedBy = [];  // Address -> entry of the statement placed there
+        let address = 0;
+        
+        for (const statement of statements) {
+            statement.address = address;
+            statement.size = 0;
+            
+            let size = 1;
+            if (statement.kind === 'label') {
+                this.define(statement.name, address, statement, true);
+                continue;
+            } else if (statement.kind === 'instruction') {
+                size = statement.operand && this.emulator.instructionFormat === 'simple' ? 2 : 1;
+            } else if (statement.kind === 'directive') {
+                size = this.layoutDirective(statement);
+                if (size === null) {
+                    continue;
+                }
+                if (statement.name === '.ORG') {
+                    address = statement.address = size;
+                    continue;
+                }
+            }
+            
+            if (address + size > memorySize) {
+                this.error(statement.source, statement.column, `Address ${address + size - 1} is outside the ${memorySize}-word memory`);
+                continue;
+            }
+            const clash = usedBy.slice(address, address + size).find(entry => entry !== undefined);
+            if (clash !== undefined) {
+                this.error(statement.source, statement.column, `Overlaps words already placed by ${this.describeLine(clash)}`);
+                continue;
+            }
+            for (let i = address; i < address + size; i++) {
+                usedBy[i] = statement.source;
+            }
+            
+            statement.size = size;
+            address += size;
+        }
+    }
+    
+    /**
+     * Words a directive occupies, or null if it places none. For .ORG the
+     * new address is returned instead.
+     */
+    layoutDirective(statement) {
+        const args = statement.args;
+        const expect = (min, max, usage) => {
+            if (args.length < min || args.length > max) {
+                this.error(statement.source, statement.column, `Usage: ${statement.name} ${usage}`);
+                return false;
+            }
+            return true;
+        };
+        
+        switch (statement.name) {
+            case '.ORG': {
+                if (!expect(1, 1, 'address')) return null;
+                const origin = this.evaluateNow(args[0], statement);
+                if (origin === null) {
+                    return null;
+                }
+                if (origin.value < 0 || origin.value >= this.emulator.memory.length) {
+                    this.error(statement.source, args[0].column, `Origin ${origin.value} is outside the ${this.emulator.memory.length}-word memory`);
+                    return null;
+                }
+                return origin.value;
+            }
+            case '.WORD':
+                return expect(1, Infinity, 'value [, value ...]') ? args.length : null;
+            case '.FILL':
+            case '.SPACE': {
+                const isFill = statement.name === '.FILL';
+                if (!expect(1, isFill ? 2 : 1, isFill ? 'count [, value]' : 'count')) return null;
+                const count = this.evaluateNow(args[0], statement);
+                if (count === null) {
+                    return null;
+                }
+                if (count.value < 0) {
+                    this.error(statement.source, args[0].column, `Count must not be negative, got ${count.value}`);
+                    return null;
+                }
+                return count.value;
+            }
+            case '.STRING': {
+                if (!expect(1, 1, '"text"')) return null;
+                statement.codes = this.encodeString(args[0], statement);
+                return statement.codes === null ? null : statement.codes.length + 1;
+            }
+            case '.EQU': {
+                if (!expect(2, 2, 'name value')) return null;
+                if (!SetunAssembler.isIdentifier(args[0].text)) {
+                    this.error(statement.source, args[0].column, `Invalid constant name "${args[0].text}"`);
+                    return null;
+                }
+                // A constant naming an address (a label plus an offset, say) is relocated like a label
+                const value = this.evaluateNow(args[1], statement);
+                if (value !== null) {
+                    this.define(args[0].text, value.value, statement, value.address);
+                }
+                return null;
+            }
+            case '.EXPORT':
+            case '.IMPORT': {
+                if (!expect(1, Infinity, 'name [, name ...]')) return null;
+                args.forEach(arg => {
+                    if (!SetunAssembler.isIdentifier(arg.text)) {
+                        this.error(statement.source, arg.column, `Invalid symbol name "${arg.text}"`);
+                    } else if (statement.name === '.EXPORT') {
+                        this.exported.push({ name: arg.text, statement, column: arg.column });
+                    } else {
+                        this.declareImport(arg, statement);
+                    }
+                });
+                return null;
+            }
+            default:
+                this.error(statement.source, statement.column, `Unknown directive "${statement.name}"`);
+                return null;
+        }
+    }
+    
+    declareImport(arg, statement) {
+        const name = arg.text;
+        if (!this.relocatable) {
+            this.error(statement.source, arg.column, `.IMPORT needs a project of separately assembled modules`);
+        } else if (this.emulator.getOpcodeTable()[name.toUpperCase()] !== undefined) {
+            this.error(statement.source, arg.column, `Symbol "${name}" is a mnemonic`);
+        } else if (this.symbols.has(name)) {
+            this.error(statement.source, arg.column, `Symbol "${name}" is defined in this module, so it cannot be imported`);
+        } else if (!this.imports.has(name)) {
+            this.imports.set(name, this.location(statement.source, arg.column));
+        }
+    }
+    
+    /**
+     * Exported symbols, once the first pass has defined them
+     */
+    resolveExports() {
+        const exports = new Map();
+        for (const { name, statement, column } of this.exported) {
+            if (!this.symbols.has(name)) {
+                this.error(statement.source, column, `Exported symbol "${name}" is not defined`);
+            } else if (!exports.has(name)) {
+                exports.set(name, {
+                    value: this.symbols.get(name),
+                    relocatable: this.labels.has(name),
+                    ...this.location(statement.source, column)
+                });
+            }
+        }
+        return exports;
+    }
+    
+    /**
+     * Teletype codes for the characters of a quoted string
+     */
+    encodeString(token, statement) {
+        const chars = SetunAssembler.parseString(token.text);
+        if (chars === null) {
+            this.error(statement.source, token.column, 'Expected a quoted string');
+            return null;
+        }
+        const codes = chars.map(char => SetunTeletype.encodeChar(char));
+        const bad = codes.indexOf(null);
+        if (bad !== -1) {
+            this.error(statement.source, token.column, `No character code for "${chars[bad]}"`);
+            return null;
+        }
+        return codes;
+    }
+    
+    /**
+     * Second pass: encode statements into words, indexed by address
+     */
+    encode(statements) {
+        const words = [];
+        const lines = [];
+        const sourceMap = [];
+        const kinds = [];
+        const sources = [];  // Address -> entry that produced the word
+        const emit = (address, value, statement, column) => {
+            if (this.emulator.fitToWord(value).overflow !== 0) {
+                const max = SetunEmulator.maxWordValue(this.emulator.wordSize);
+                this.error(statement.source, column,
+                    `Value ${value} does not fit in a ${this.emulator.wordSize}-trit word (${-max} to ${max})`);
+            }
+            words[address] = value;
+            lines[address] = statement.source.rootLine;
+            sources[address] = statement.source;
+            kinds[address] = statement.kind === 'instruction' ? (address === statement.address ? 'code' : 'operand') :
+                statement.kind === 'word' ? 'word' : 'data';
+            // Words from a macro expansion map to the call
+            sourceMap[address] = this.location(statement.source, column);
+        };
+        
+        for (const statement of statements) {
+            if (statement.size === 0) {
+                continue;
+            }
+            const address = statement.address;
+            
+            if (statement.kind === 'word') {
+                emit(address, this.encodeWord(statement), statement, statement.column);
+            } else if (statement.kind === 'directive') {
+                this.encodeDirective(statement, emit);
+            } else if (this.emulator.instructionFormat === 'simple') {
+                emit(address, statement.opcode, statement, statement.column);
+                if (statement.operand) {
+                    const operand = statement.operand;
+                    if (/^[@~]/.test(operand.text)) {
+                        this.error(statement.source, operand.column, 'Address modes need the packed instruction format');
+                    }
+                    const text = operand.text.replace(/^[@~]/, '');
+                    const value = this.evaluate(text, operand.column + operand.text.length - text.length, statement);
+                    emit(address + 1, value.value, statement, operand.column);
+                    this.relocate(address + 1, value, 'word', statement, operand.column);
+                }
+            } else {
+                emit(address, this.encodePacked(statement), statement, statement.column);
+            }
+        }
+        
+        // Gaps left by .ORG and .SPACE load as zero
+        return { words: Array.from(words, word => word || 0), lines, sourceMap, kinds, sources };
+    }
+    
+    encodeDirective(statement, emit) {
+        const args = statement.args;
+        const address = statement.address;
+        
+        switch (statement.name) {
+            case '.WORD':
+                args.forEach((arg, i) => {
+                    const value = this.evaluate(arg.text, arg.column, statement);
+                    emit(address + i, value.value, statement, arg.column);
+                    this.relocate(address + i, value, 'word', statement, arg.column);
+                });
+                break;
+            case '.FILL': {
+                const column = args[1] ? args[1].column : statement.column;
+                const value = args[1] ? this.evaluate(args[1].text, column, statement) : { value: 0, address: false, symbol: null };
+                for (let i = 0; i < statement.size; i++) {
+                    emit(address + i, value.value, statement, column);
+                    this.relocate(address + i, value, 'word', statement, column);
+                }
+                break;
+            }
+            case '.STRING':
+                emit(address, statement.codes.length, statement, statement.column);
+                statement.codes.forEach((code, i) => emit(address + 1 + i, code, statement, args[0].column));
+                break;
+        }
+    }
+    
+    /**
+     * A data word: an expression, or a raw opcode:address word in the packed format
+     */
+    encodeWord(statement) {
+        const text = statement.text;
+        
+        if (this.emulator.instructionFormat === 'packed' && text.includes(':')) {
+            if (!text.split(':').every(field => SetunEmulator.validateTernary(field))) {
+                this.error(statement.source, statement.column, `Invalid packed instruction "${text}"`);
+                return 0;
+            }
+            try {
+                return this.emulator.parseToken(text);
+            } catch (e) {
+                this.error(statement.source, statement.column, e.message);
+                return 0;
+            }
+        }
+        
+        // Raw programs read a 1 as a + trit, where a digit string is decimal
+        if (/^-?[01]+$/.test(text) && SetunAssembler.parseLiteral(text) !== SetunEmulator.fromBalancedTernary(text)) {
+            const decimal = text.replace(/^(-?)/, '$10d');
+            const ternary = text.replace(/1/g, '+');
+            this.error(statement.source, statement.column, `Ambiguous word "${text}": write ${decimal} for ` +
+                `decimal ${parseInt(text, 10)} or ${ternary} for ternary ${SetunEmulator.fromBalancedTernary(text)}`);
+            return 0;
+        }
+        
+        const value = this.evaluate(text, statement.column, statement);
+        this.relocate(statement.address, value, 'word', statement, statement.column);
+        return value.value;
+    }
+    
+    /**
+     * An instruction packed with its address field and modifier trit
+     */
+    encodePacked(statement) {
+        let address = 0;
+        let modifier = 0;
+        const operand = statement.operand;
+        
+        if (operand) {
+            let text = operand.text;
+            if (text.startsWith('@')) {
+                modifier = 1;
+                text = text.slice(1);
+            } else if (text.startsWith('~')) {
+                modifier = -1;
+                text = text.slice(1);
+            }
+            const value = this.evaluate(text, operand.column + operand.text.length - text.length, statement);
+            address = value.value;
+            
+            const width = this.emulator.instructionLayout.address;
+            const max = SetunEmulator.maxWordValue(width);
+            if (modifier === -1 && this.emulator.profile === 'standard') {
+                // Relative operands count from the instruction itself
+                if (value.symbol === null) {
+                    address -= statement.address;
+                }
+                this.relocate(statement.address, value, 'relative', statement, operand.column);
+            } else {
+                this.relocate(statement.address, value, 'field', statement, operand.column);
+                if (value.address && address > max) {
+                    // Addresses past the field's reach are written counting back from the top of memory
+                    address -= this.emulator.memory.length;
+                }
+            }
+            if (Math.abs(address) > max) {
+                this.error(statement.source, operand.column,
+                    `Operand ${address} does not fit in the ${width}-trit address field (${-max} to ${max})`);
+                return 0;
+            }
+        }
+        
+        try {
+            return this.emulator.encodeInstruction(statement.opcode, address, modifier);
+        } catch (e) {
+            this.error(statement.source, operand ? operand.column : statement.column, e.message);
+            return 0;
+        }
+    }
+    
+    /**
+     * In a relocatable module, record that the word at an address holds an
+     * address in the module or an imported symbol (value, as returned by
+     * evaluate), for the linker to adjust. kind is 'word' (the whole
+     * word), 'field' (a packed address field) or 'relative' (a packed
+     * address field counting from the instruction, which only changes for
+     * imported symbols). The relocation's value is the module address, or
+     * the constant added to the imported symbol.
+     */
+    relocate(address, value, kind, statement, column) {
+        if (!this.relocatable) {
+            return;
+        }
+        if (value.symbol !== null) {
+            this.relocations.push({ address, kind, symbol: value.symbol, value: value.value, ...this.location(statement.source, column) });
+        } else if (value.address && kind !== 'relative') {
+            this.relocations.push({ address, kind, symbol: null, value: value.value, ...this.location(statement.source, column) });
+        }
+    }
+    
+    /**
+     * Value of an expression starting at a column of a statement, as
+     * { value, address, symbol }: address is true for an address in the
+     * program (a label or $, give or take a constant), and symbol names the
+     * imported symbol the value is an offset from, or is null. Imported
+     * symbols count as 0 until the linker fills them in. During layout (now)
+     * only symbols defined above have values. Reports an error and gives 0
+     * if the expression has no value, or cannot be relocated in a
+     * relocatable module.
+     */
+    evaluate(text, column, statement, now = false) {
+        let term;
+        try {
+            term = SetunAssembler.evaluateExpression(text, (name, offset) => this.resolveSymbol(name, offset, statement, now));
+        } catch (e) {
+            this.error(statement.source, column + e.offset, e.message);
+            return { value: 0, address: false, symbol: null };
+        }
+        
+        const imported = [...term.imports].filter(([, count]) => count !== 0);
+        if (imported.length === 0 && (term.labels === 0 || term.labels === 1)) {
+            return { value: term.value, address: term.labels === 1, symbol: null };
+        }
+        if (imported.length === 1 && imported[0][1] === 1 && term.labels === 0) {
+            return { value: term.value, address: false, symbol: imported[0][0] };
+        }
+        if (!this.relocatable) {
+            return { value: term.value, address: false, symbol: null };
+        }
+        this.error(statement.source, column,
+            `"${text}" cannot be relocated; use one label or imported symbol plus or minus a constant`);
+        return { value: 0, address: false, symbol: null };
+    }
+    
+    /**
+     * Term a symbol or $ stands for in an expression (see evaluateExpression)
+     */
+    resolveSymbol(name, offset, statement, now) {
+        if (name === '$') {
+            return { value: statement.address, labels: 1, imports: new Map() };
+        }
+        if (this.imports.has(name)) {
+            if (now) {
+                throw SetunAssembler.expressionError(`Imported symbol "${name}" has no value before linking`, offset);
+            }
+            return { value: 0, labels: 0, imports: new Map([[name, 1]]) };
+        }
+        if (!this.symbols.has(name)) {
+            throw SetunAssembler.expressionError(now ? `"${name}" must be defined before ${statement.name}` : `Undefined symbol "${name}"`, offset);
+        }
+        return { value: this.symbols.get(name), labels: this.labels.has(name) ? 1 : 0, imports: new Map() };
+    }
+    
+    /**
+     * Value needed during layout, so only symbols defined above may be used.
+     * Returns the result of evaluate, or null after reporting an error.
+     */
+    evaluateNow(token, statement) {
+        const errorCount = this.errors.length;
+        const value = this.evaluate(token.text, token.column, statement, true);
+        return this.errors.length === errorCount ? value : null;
+    }
+    
+    /**
+     * One row per source line: the address it starts at (null if it places
+     * nothing), the words it produced as { address, value }, and its text.
+     * Included lines are listed under their .INCLUDE.
+     */
+    buildListing(sourceLines, statements, words, lines) {
+        const listing = sourceLines.map((text, line) => ({ line, address: null, words: [], text }));
+        for (const statement of statements) {
+            const row = listing[statement.source.rootLine];
+            if (row.address === null && statement.name !== '.EQU') {
+                row.address = statement.address;
+            }
+        }
+        lines.forEach((line, address) => {
+            listing[line].words.push({ address, value: words[address] });
+        });
+        return listing;
+    }
+    
+    /**
+     * Like buildListing, but one row per line after macro expansion and
+     * includes; rows from macros carry the macro name, and rows from other
+     * files are marked included
+     */
+    buildExpandedListing(entries, statements, words, sources) {
+        const rows = new Map(entries.map(entry => [entry, {
+            line: entry.rootLine,
+            address: null,
+            words: [],
+            text: entry.text,
+            macro: entry.macro,
+            included: entry.file !== this.file
+        }]));
+        for (const statement of statements) {
+            const row = rows.get(statement.source);
+            if (row.address === null && statement.name !== '.EQU') {
+                row.address = statement.address;
+            }
+        }
+        sources.forEach((entry, address) => {
+            rows.get(entry).words.push({ address, value: words[address] });
+        });
+        return [...rows.values()];
+    }
+    
+    /**
+     * Listing as text: address, word in balanced ternary, line number, source
+     */
+    static formatListing(listing, wordSize) {
+        const rows = ['ADDR  ' + 'WORD'.padEnd(wordSize) + '  LINE   SOURCE'];
+        for (const row of listing) {
+            // Lines from a macro or an included file are marked + after the
+            // line number of the call or .INCLUDE
+            const lineNumber = String(row.line + 1).padStart(4) + (row.macro || row.included ? '+' : ' ');
+            if (row.words.length === 0) {
+                const address = row.address === null ? '' : String(row.address);
+                rows.push(`${address.padStart(4)}  ${''.padEnd(wordSize)}  ${lineNumber}  ${row.text}`.trimEnd());
+                continue;
+            }
+            row.words.forEach((word, i) => {
+                const ternary = SetunEmulator.toBalancedTernary(word.value).padStart(wordSize);
+                const source = i === 0 ? `  ${lineNumber}  ${row.text}` : '';
+                rows.push(`${String(word.address).padStart(4)}  ${ternary}${source}`.trimEnd());
+            });
+        }
+        return rows.join('\n');
+    }
+}
+
+SetunAssembler.MAX_EXPANSION_DEPTH = 16;  // Nested macro calls
+SetunAssembler.MAX_REPEAT = 1000;         // Copies made by one .REPT
+
+// Balanced heptavintimal digits, from -13 to 13
+SetunAssembler.HEPTAVINTIMAL_DIGITS = 'NOPQRSTUVWXYZ0123456789ABCD';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunAssemblyError, SetunAssembler };
+}
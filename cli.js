@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+/**
+ * Setun - Command-line runner
+ * Runs a program without the browser, for scripts and CI: builds a project
+ * of .tas, .tern and .inc files the way the app does (see SetunLinker), or
+ * loads a memory dump exported from the app, runs it until it stops and
+ * prints the final registers, teletype output and, with --dump, memory, as
+ * text or JSON.
+ *
+ * The exit status tells how the run ended: 0 HALT, 1 error (including
+ * build errors and waiting for input that never comes), 2 fault,
+ * 3 instruction limit reached.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The emulator's scripts are browser scripts that see each other's classes
+// as globals; load them in index.html's order
+for (const script of ['devices', 'drum', 'setun', 'assembler', 'compiler', 'linker', 'teletype', 'tape']) {
+    Object.assign(globalThis, require(`./${script}.js`));
+}
+
+const USAGE = `Usage: setun run <file...> [options]
+
+Runs a program until it stops and prints the final machine state. Files
+ending in .tas, .tern and .inc form a project, linked in the order given;
+a .json file is a memory dump exported from the app, which brings its own
+memory size, word format, profile and instruction format.
+
+Options:
+  --memory N        Memory size in words: 27, 81, 243 or 729 (default 81)
+  --max-steps N     Instruction limit (default 10000; 1e6 is accepted)
+  --word-size N     Trits per word: 9 or 18 (default 18)
+  --overflow MODE   wrap | saturate (default wrap)
+  --profile NAME    standard | historical (default standard)
+  --format NAME     Instruction format: simple | packed (default simple)
+  --stack MODE      Call stack: internal | memory (default internal)
+  --strict          Fault on invalid operations instead of carrying on
+  --input TEXT      Characters typed on the teletype before the run
+  --dump            Include memory in the output
+  --json            Print JSON instead of text
+  -h, --help        Show this help
+
+Exit status: 0 HALT, 1 error, 2 fault, 3 instruction limit reached`;
+
+const EXIT_CODES = { halt: 0, error: 1, waiting: 1, fault: 2, limit: 3 };
+
+const OPTIONS = {
+    '--memory': { key: 'memory', number: true, values: ['27', '81', '243', '729'] },
+    '--max-steps': { key: 'maxSteps', number: true },
+    '--word-size': { key: 'wordSize', number: true, values: ['9', '18'] },
+    '--overflow': { key: 'overflowMode', values: ['wrap', 'saturate'] },
+    '--profile': { key: 'profile', values: ['standard', 'historical'] },
+    '--format': { key: 'instructionFormat', values: ['simple', 'packed'] },
+    '--stack': { key: 'stackMode', values: ['internal', 'memory'] },
+    '--input': { key: 'input' }
+};
+
+const FLAGS = { '--strict': 'strict', '--dump': 'dump', '--json': 'json' };
+
+/**
+ * Thrown for a command line that cannot be run; the message is printed
+ * with the usage line
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse the arguments after the command into { files, options }
+ */
+function parseArguments(args) {
+    const files = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (FLAGS[arg]) {
+            options[FLAGS[arg]] = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            files.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.split(/=(.*)/s);
+        const option = OPTIONS[name];
+        if (!option) {
+            throw new UsageError(`Unknown option ${name}`);
+        }
+        const value = inline !== undefined ? inline : args[++i];
+        if (value === undefined) {
+            throw new UsageError(`${name} needs a value`);
+        }
+        if (option.values && !option.values.includes(value)) {
+            throw new UsageError(`${name} must be one of ${option.values.join(', ')}, not "${value}"`);
+        }
+        if (option.number) {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number <= 0) {
+                throw new UsageError(`${name} must be a positive whole number, not "${value}"`);
+            }
+            options[option.key] = number;
+        } else {
+            options[option.key] = value;
+        }
+    }
+    if (files.length === 0) {
+        throw new UsageError('No program files given');
+    }
+    return { files, options };
+}
+
+/**
+ * An emulator with the app's devices attached: the drum, the teletype and
+ * the paper tape reader and punch. Returns { emulator, teletype }.
+ */
+function createEmulator(memorySize, options) {
+    const emulator = new SetunEmulator(memorySize, {
+        drum: new SetunDrum(),
+        wordSize: options.wordSize,
+        overflowMode: options.overflowMode,
+        stackMode: options.stackMode
+    });
+    const teletype = new SetunTeletype();
+    emulator.attachDevice(teletype);
+    emulator.attachDevice(new SetunTapeReader());
+    emulator.attachDevice(new SetunTapePunch());
+    if (options.profile) {
+        emulator.setProfile(options.profile);
+    }
+    if (options.instructionFormat) {
+        emulator.setInstructionFormat(options.instructionFormat);
+    }
+    return { emulator, teletype };
+}
+
+/**
+ * Load the files named on the command line: one memory dump, or a project.
+ * Returns { emulator, teletype }, or { errors } if the project does not build.
+ */
+function load(files, options) {
+    const read = file => {
+        try {
+            return fs.readFileSync(file, 'utf8');
+        } catch (e) {
+            throw new Error(`Cannot read ${file}: ${e.message}`);
+        }
+    };
+
+    if (files.some(file => /\.json$/i.test(file))) {
+        if (files.length > 1) {
+            throw new UsageError('A memory dump is run on its own, without other files');
+        }
+        let state;
+        try {
+            state = JSON.parse(read(files[0]));
+        } catch (e) {
+            throw e instanceof SyntaxError ? new Error(`${files[0]} is not a memory dump: ${e.message}`) : e;
+        }
+        if (!state || !Array.isArray(state.memory)) {
+            throw new Error(`${files[0]} is not a memory dump: it has no memory array`);
+        }
+        // Older dumps do not record the size: take it from the memory itself
+        const memorySize = state.memorySize || state.memory.length;
+        if (!OPTIONS['--memory'].values.includes(String(memorySize))) {
+            throw new Error(`${files[0]} is a ${memorySize}-word memory dump; memory sizes are ${OPTIONS['--memory'].values.join(', ')}`);
+        }
+        const machine = createEmulator(memorySize, {});
+        const emulator = machine.emulator;
+        emulator.restoreState(state);
+        // Run to the end, not to the debugging stops saved with the dump
+        emulator.breakpoints.clear();
+        emulator.conditionalBreakpoints = [];
+        return machine;
+    }
+
+    const project = new Map(files.map(file => [file, read(file)]));
+    const directory = path.dirname(files[0]);
+    const readFile = file => {
+        if (project.has(file)) {
+            return project.get(file);
+        }
+        // .INCLUDE names are relative to the first file's directory
+        try {
+            return fs.readFileSync(path.resolve(directory, file), 'utf8');
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const machine = createEmulator(options.memory || 81, options);
+    const program = new SetunLinker(machine.emulator).build(files, readFile);
+    if (program.errors.length > 0) {
+        return { errors: program.errors };
+    }
+    machine.emulator.loadImage(program);
+    return machine;
+}
+
+/**
+ * Run until the program stops. Returns { status, message, warnings }, where
+ * status is a key of EXIT_CODES.
+ */
+function run({ emulator, teletype }, options) {
+    let stop = null;
+    const warnings = new Set();
+    emulator.onHalt = message => {
+        stop = { status: 'halt', message };
+    };
+    emulator.onError = message => {
+        const limit = emulator.instructionCount >= emulator.maxInstructions;
+        stop = { status: limit ? 'limit' : 'error', message };
+    };
+    emulator.onFault = fault => {
+        stop = { status: 'fault', message: `${fault.message} (PC ${fault.pc})`, fault: fault.type };
+    };
+    emulator.onWait = device => {
+        stop = { status: 'waiting', message: `Waiting for input from ${device.name}` };
+    };
+    emulator.onWarning = message => warnings.add(message);
+
+    if (options.maxSteps) {
+        emulator.maxInstructions = options.maxSteps;
+    }
+    if (options.strict) {
+        emulator.setStrictMode(true);
+    }
+    if (options.input) {
+        teletype.type(options.input);
+    }
+    emulator.toggleHistory(false);
+
+    emulator.running = true;
+    while (emulator.step()) {
+        // Until the program stops
+    }
+    emulator.running = false;
+
+    return { ...(stop || { status: 'error', message: 'Stopped' }), warnings: [...warnings] };
+}
+
+/**
+ * The result of a run as plain data, as printed by --json
+ */
+function report({ emulator, teletype }, result, options) {
+    const registers = {
+        accumulator: emulator.accumulator,
+        programCounter: emulator.programCounter,
+        overflow: emulator.overflow
+    };
+    if (emulator.stackMode === 'memory') {
+        registers.stackPointer = emulator.stackPointer;
+    }
+    if (emulator.profile === 'historical') {
+        registers.registerF = emulator.registerF;
+        registers.registerS = emulator.registerS;
+    }
+
+    const data = {
+        status: result.status,
+        message: result.message,
+        exitCode: EXIT_CODES[result.status],
+        instructions: emulator.instructionCount,
+        cycles: emulator.cycleCount,
+        registers,
+        output: teletype.output,
+        warnings: result.warnings
+    };
+    if (result.fault) {
+        data.fault = result.fault;
+    }
+    if (options.dump) {
+        data.memory = [...emulator.memory];
+    }
+    return data;
+}
+
+/**
+ * Text for a report: one section per part of the machine
+ */
+function formatReport(data) {
+    const ternary = value => SetunEmulator.toBalancedTernary(value);
+    const names = {
+        accumulator: 'ACC', programCounter: 'PC', overflow: 'OV',
+        stackPointer: 'SP', registerF: 'F', registerS: 'S'
+    };
+
+    const lines = [
+        `${data.status.toUpperCase()}: ${data.message}`,
+        `Instructions: ${data.instructions}, cycles: ${data.cycles}`,
+        '',
+        'Registers:'
+    ];
+    for (const [name, value] of Object.entries(data.registers)) {
+        lines.push(`  ${names[name].padEnd(4)}${String(value).padStart(12)}  ${ternary(value)}`);
+    }
+    if (data.output) {
+        lines.push('', 'Output:', data.output.replace(/\n$/, ''));
+    }
+    if (data.warnings.length > 0) {
+        lines.push('', 'Warnings:', ...data.warnings.map(warning => `  ${warning}`));
+    }
+    if (data.memory) {
+        lines.push('', 'Memory:');
+        data.memory.forEach((value, address) => {
+            lines.push(`  ${String(address).padStart(5)}${String(value).padStart(12)}  ${ternary(value)}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+function main(args) {
+    if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+        console.log(USAGE);
+        return args.length === 0 ? EXIT_CODES.error : 0;
+    }
+
+    let json = args.includes('--json');
+    try {
+        const [command, ...rest] = args;
+        if (command !== 'run') {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+        const { files, options } = parseArguments(rest);
+        json = options.json;
+
+        const machine = load(files, options);
+        const errors = machine.errors;
+        if (errors) {
+            const message = new SetunAssemblyError(errors).message;
+            if (json) {
+                console.log(JSON.stringify({ status: 'error', message, exitCode: EXIT_CODES.error, errors }, null, 2));
+            } else {
+                errors.forEach(error => console.error(new SetunAssemblyError([error]).message));
+            }
+            return EXIT_CODES.error;
+        }
+
+        const result = run(machine, options);
+        const data = report(machine, result, options);
+        console.log(json ? JSON.stringify(data, null, 2) : formatReport(data));
+        return data.exitCode;
+    } catch (e) {
+        if (json) {
+            console.log(JSON.stringify({ status: 'error', message: e.message, exitCode: EXIT_CODES.error }, null, 2));
+        } else {
+            console.error(`setun: ${e.message}`);
+            if (e instanceof UsageError) {
+                console.error('Run "setun --help" for usage.');
+            }
+        }
+        return EXIT_CODES.error;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
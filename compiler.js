@@ -0,0 +1,1099 @@
+/**
+ * Setun - Tern compiler
+ * Compiles Tern, a small structured language, into assembly for the
+ * standard instruction set, in the simple or packed format, which
+ * SetunAssembler then turns into words.
+ *
+ *   // A comment runs to the end of the line
+ *   var total = 0;          Variable: global at the top level, local in a function
+ *   var table[5];           Global array of 5 words, indexed from 0
+ *   func square(n) {        Function with parameters
+ *       return n * n;
+ *   }
+ *   while (total < 100) {   while, and if / else if / else
+ *       total = total + square(3);
+ *   }
+ *   table[1] = total;
+ *   print(total);           Print a number and a newline on the teletype
+ *
+ * Every value is one word. Expressions have + - * / % (/ rounds to the
+ * nearest integer and % is the balanced remainder, like DIV and MOD),
+ * comparisons == != < <= > >= that give 1 or 0, and && || ! on zero and
+ * non-zero. Comparisons subtract, so they are exact while the difference
+ * fits in a word. Literals are those of the assembler: 42, 0t+0-, 0h1Z.
+ *
+ * The top-level statements run first, from the start of the program, and
+ * end with HALT; functions may be called before they are defined.
+ * Arguments, locals and intermediate values live on the memory stack
+ * (PUSH, POP, LOADS, STORES), so functions can recurse. Arrays must be
+ * global, and indexes are not checked. In the simple format, operations
+ * on two computed values store the second into the operand of the
+ * instruction that uses it. The program starts with a jump over its data,
+ * keeping globals and constants at low addresses that a packed address
+ * field reaches; in a packed memory larger than 243 words, jumps and calls
+ * are relative to the instruction.
+ *
+ * Each generated line is mapped to the statement it came from, so the
+ * program's source map, breakpoints and stepping work on Tern statements.
+ */
+
+class SetunCompiler {
+    /**
+     * The emulator supplies the instruction format, word size and stack
+     * mode to compile for
+     */
+    constructor(emulator) {
+        this.emulator = emulator;
+    }
+    
+    /**
+     * Whether a project file is Tern source, as opposed to assembly
+     */
+    static isSource(file) {
+        return /\.tern$/i.test(file || '');
+    }
+    
+    /**
+     * Compile and assemble Tern source. Returns the result of
+     * SetunAssembler.assemble with its source map and errors pointing at
+     * the Tern source, plus the generated assembly and lineMap, which
+     * gives the { line, column } of the statement each generated line came
+     * from (or null). options.file names the source; options.relocatable
+     * is passed to the assembler.
+     */
+    build(source, options = {}) {
+        const file = options.file || null;
+        const compiled = this.compile(source, options);
+        const failed = errors => ({
+            words: [], symbols: new Map(), labels: new Set(), lines: [], sourceMap: [], kinds: [],
+            listing: [], expandedListing: [], exports: new Map(), imports: new Map(), relocations: [],
+            assembly: compiled.assembly, lineMap: compiled.lineMap, errors
+        });
+        if (compiled.errors.length > 0) {
+            return failed(compiled.errors);
+        }
+        
+        const program = new SetunAssembler(this.emulator).assemble(compiled.assembly, { file, relocatable: options.relocatable });
+        
+        // Generated code past the end of memory, or out of a packed address field's reach, means the
+        // program is too large, not wrong
+        const emulator = this.emulator;
+        const width = emulator.instructionLayout.address;
+        if (program.errors.some(error => error.message.includes(`outside the ${emulator.memory.length}-word memory`))) {
+            return failed([{ file, line: 0, column: 1,
+                message: `The compiled program does not fit in the ${emulator.memory.length}-word memory; use a larger memory` }]);
+        }
+        if (emulator.instructionFormat === 'packed' &&
+            program.errors.some(error => error.message.includes(`the ${width}-trit address field`))) {
+            return failed([{ file, line: 0, column: 1,
+                message: `The compiled program is too large for the packed format in a ${emulator.memory.length}-word memory: ` +
+                    `its jumps or data lie beyond the reach of the ${width}-trit address field; use the simple format` }]);
+        }
+        const toSource = location => {
+            const statement = compiled.lineMap[location.line];
+            return statement ? { file, line: statement.line, column: statement.column } : null;
+        };
+        // One error per statement is enough to point at it
+        const errors = [];
+        program.errors.forEach(error => {
+            const location = toSource(error) || { file, line: 0, column: 1 };
+            if (!errors.some(other => other.line === location.line && other.column === location.column)) {
+                errors.push({ ...error, ...location, message: `${error.message} (generated line ${error.line + 1})` });
+            }
+        });
+        
+        // The stack grows down from its top; code and data below its limit are safe from it
+        const stackLimit = this.emulator.stackLimit;
+        if (!options.relocatable && errors.length === 0 && program.words.length > stackLimit) {
+            errors.push({ file, line: 0, column: 1,
+                message: `The compiled program needs ${program.words.length} words, running into the stack at ${stackLimit}; use a larger memory` });
+        }
+        
+        // Like the assembler's, the source map has no entry for words without a source
+        const sourceMap = [];
+        program.sourceMap.forEach((location, address) => {
+            const source = toSource(location);
+            if (source) {
+                sourceMap[address] = source;
+            }
+        });
+        
+        return {
+            ...program,
+            sourceMap,
+            relocations: program.relocations.map(relocation => ({ ...relocation, ...(toSource(relocation) || { line: 0, column: 1 }) })),
+            assembly: compiled.assembly,
+            lineMap: compiled.lineMap,
+            errors
+        };
+    }
+    
+    /**
+     * Compile Tern source into assembly text. Returns { assembly, lineMap,
+     * errors }; see build.
+     */
+    compile(source, options = {}) {
+        this.file = options.file || null;
+        this.errors = [];
+        this.output = [];              // Generated lines: { text, source }
+        this.labelCount = 0;
+        this.constants = new Set();    // Values in the constant pool
+        this.scratch = new Set();      // Scratch words used: __t, __p
+        this.statement = null;         // Position generated lines are mapped to
+        this.frame = null;             // Function being compiled
+        
+        let program;
+        try {
+            program = new SetunCompiler.Parser(SetunCompiler.tokenize(source)).parseProgram();
+        } catch (e) {
+            if (!e.position) {
+                throw e;
+            }
+            this.error(e.position, e.message);
+            return { assembly: '', lineMap: [], errors: this.errors };
+        }
+        
+        if (this.emulator.profile !== 'standard') {
+            this.error({ line: 0, column: 1 }, 'Tern programs need the standard profile');
+            return { assembly: '', lineMap: [], errors: this.errors };
+        }
+        this.generate(program);
+        
+        return {
+            assembly: this.output.map(line => line.text).join('\n') + '\n',
+            lineMap: this.output.map(line => line.source),
+            errors: this.errors
+        };
+    }
+    
+    error(position, message) {
+        this.errors.push({ file: this.file, line: position.line, column: position.column, message });
+    }
+    
+    /**
+     * Split source into tokens with 0-based lines and 1-based columns
+     */
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /\/\/[^\n]*|\n|[ \t\r]+|(0[dD]\d+|0[tT][+\-−_0]+|0[hH][0-9a-dA-Dn-zN-Z]+|\d+)|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|&&|\|\||[-+*/%<>=!(){}[\],;])/y;
+        let line = 0;
+        let lineStart = 0;
+        
+        while (pattern.lastIndex < source.length) {
+            const index = pattern.lastIndex;
+            const match = pattern.exec(source);
+            const position = { line, column: index - lineStart + 1 };
+            if (!match) {
+                throw SetunCompiler.syntaxError(`Unexpected "${source[index]}"`, position);
+            }
+            if (match[0] === '\n') {
+                line++;
+                lineStart = pattern.lastIndex;
+            } else if (match[1]) {
+                tokens.push({ kind: 'number', text: match[0], value: SetunAssembler.parseLiteral(match[0]), ...position });
+            } else if (match[2]) {
+                const kind = SetunCompiler.KEYWORDS.includes(match[0]) ? 'keyword' : 'name';
+                tokens.push({ kind, text: match[0], ...position });
+            } else if (match[3]) {
+                tokens.push({ kind: 'symbol', text: match[0], ...position });
+            }
+        }
+        tokens.push({ kind: 'end', text: 'end of file', line, column: source.length - lineStart + 1 });
+        return tokens;
+    }
+    
+    static syntaxError(message, position) {
+        const error = new Error(message);
+        error.position = { line: position.line, column: position.column };
+        return error;
+    }
+    
+    // Code generation
+    
+    emit(text) {
+        this.output.push({ text: `        ${text}`, source: this.statement });
+    }
+    
+    /**
+     * A jump or call to a label. In a packed memory larger than an address
+     * field reaches, counting back from the top, the target is given
+     * relative to the instruction.
+     */
+    emitJump(mnemonic, label) {
+        const emulator = this.emulator;
+        const reach = 2 * SetunEmulator.maxWordValue(emulator.instructionLayout.address) + 1;
+        const relative = emulator.instructionFormat === 'packed' && emulator.memory.length > reach;
+        this.emit(`${mnemonic} ${relative ? '~' : ''}${label}`);
+    }
+    
+    place(label) {
+        this.output.push({ text: `${label}:`, source: this.statement });
+    }
+    
+    newLabel(kind) {
+        return `__${kind}${++this.labelCount}`;
+    }
+    
+    generate(program) {
+        const { globals, functions } = this.declare(program);
+        this.globals = globals;
+        this.functions = functions;
+        
+        this.output.push({ text: '; Compiled from Tern', source: null });
+        this.block(program.body);
+        this.statement = null;
+        this.emit('HALT');
+        
+        for (const func of functions.values()) {
+            this.generateFunction(func);
+        }
+        
+        this.statement = null;
+        
+        // Data goes first, jumped over, where the packed format's address fields reach it;
+        // arrays go last, as only their first element is addressed directly
+        const data = [];
+        for (const name of ['t', 'p'].filter(name => this.scratch.has(name))) {
+            data.push({ text: `__${name}: .WORD 0`, source: null });
+        }
+        for (const value of this.constants) {
+            data.push({ text: `${this.constantLabel(value)}: .WORD ${value}`, source: null });
+        }
+        const byArrays = [...globals].sort(([, a], [, b]) => (a.size !== null) - (b.size !== null));
+        for (const [name, global] of byArrays) {
+            data.push({ text: `v_${name}: ${global.size === null ? '.WORD 0' : `.SPACE ${global.size}`}`, source: null });
+        }
+        if (data.length > 0) {
+            const code = this.output.splice(1);
+            this.emitJump('JMP', '__main');
+            this.output.push(...data);
+            this.place('__main');
+            this.output.push(...code);
+        }
+    }
+    
+    /**
+     * Collect the functions and the global variables (every var outside a
+     * function), reporting duplicates
+     */
+    declare(program) {
+        const functions = new Map();
+        for (const func of program.functions) {
+            if (functions.has(func.name)) {
+                this.error(func, `Function "${func.name}" is already defined`);
+            } else {
+                functions.set(func.name, func);
+            }
+        }
+        
+        const globals = new Map();
+        this.declarations(program.body).forEach(declaration => {
+            if (globals.has(declaration.name)) {
+                this.error(declaration, `Variable "${declaration.name}" is already declared`);
+            } else {
+                globals.set(declaration.name, declaration);
+            }
+        });
+        return { globals, functions };
+    }
+    
+    /**
+     * The var statements of a block, including nested blocks, in order
+     */
+    declarations(statements) {
+        return statements.flatMap(statement => {
+            switch (statement.type) {
+                case 'var':
+                    return [statement];
+                case 'if':
+                    return [...this.declarations(statement.then), ...this.declarations(statement.else || [])];
+                case 'while':
+                    return this.declarations(statement.body);
+                default:
+                    return [];
+            }
+        });
+    }
+    
+    /**
+     * A function: its locals are pushed (as zeros) on entry and stay for
+     * the whole call; depth counts the words pushed since then
+     */
+    generateFunction(func) {
+        const locals = new Map();
+        this.declarations(func.body).forEach(declaration => {
+            if (declaration.size !== null) {
+                this.error(declaration, 'Arrays must be declared outside functions');
+            } else if (locals.has(declaration.name) || func.params.includes(declaration.name)) {
+                this.error(declaration, `Variable "${declaration.name}" is already declared`);
+            } else {
+                locals.set(declaration.name, locals.size + 1);
+            }
+        });
+        func.params.forEach((param, i) => {
+            if (func.params.indexOf(param) !== i) {
+                this.error(func, `Parameter "${param}" appears twice`);
+            }
+        });
+        
+        this.frame = { func, locals, depth: locals.size };
+        this.statement = { line: func.line, column: func.column };
+        this.place(`f_${func.name}`);
+        if (locals.size > 0) {
+            this.emit('MUL 0');
+            for (let i = 0; i < locals.size; i++) {
+                this.emit('PUSH');
+            }
+        }
+        this.block(func.body);
+        
+        // Falling off the end returns 0
+        if (!this.alwaysReturns(func.body)) {
+            this.statement = func.end;
+            this.emit('MUL 0');
+            this.returnFromFunction();
+        }
+        this.frame = null;
+    }
+    
+    /**
+     * Whether a block returns on every path, so no code is needed after it
+     */
+    alwaysReturns(statements) {
+        const last = statements[statements.length - 1];
+        return last !== undefined && (last.type === 'return' ||
+            (last.type === 'if' && last.else !== null && this.alwaysReturns(last.then) && this.alwaysReturns(last.else)));
+    }
+    
+    /**
+     * Return the accumulator. POP overwrites it, so the result goes into
+     * the deepest word popped on the way out: the first argument, which the
+     * caller pops last, or else the first local.
+     */
+    returnFromFunction() {
+        const { func, locals, depth } = this.frame;
+        if (func.params.length > 0) {
+            const returnWords = this.emulator.stackMode === 'memory' ? 1 : 0;
+            this.emit(`STORES ${depth + returnWords + func.params.length - 1}`);
+        } else if (locals.size > 0) {
+            this.emit(`STORES ${depth - 1}`);
+        }
+        for (let i = 0; i < locals.size; i++) {
+            this.emit('POP');
+        }
+        this.emit('RET');
+    }
+    
+    block(statements) {
+        statements.forEach(statement => {
+            this.statement = { line: statement.line, column: statement.column };
+            this.generateStatement(statement);
+        });
+    }
+    
+    generateStatement(statement) {
+        switch (statement.type) {
+            case 'var':
+                if (statement.init) {
+                    this.value(statement.init);
+                    this.storeVariable(statement.name, statement);
+                }
+                break;
+            
+            case 'assign':
+                if (statement.index && statement.index.type === 'number') {
+                    this.value(statement.value);
+                    if (this.checkGlobal(statement.name, statement, true)) {
+                        this.emit(`STORE v_${statement.name}+${statement.index.value}`);
+                    }
+                } else if (statement.index && !this.usesPointer(statement.value)) {
+                    // The address can go first when the value leaves __p alone
+                    this.elementAddress(statement.name, statement.index, statement);
+                    this.value(statement.value);
+                    this.emit('STOREI __p');
+                } else if (statement.index) {
+                    this.value(statement.value);
+                    this.push();
+                    this.elementAddress(statement.name, statement.index, statement);
+                    this.pop();
+                    this.emit('STOREI __p');
+                } else {
+                    this.value(statement.value);
+                    this.storeVariable(statement.name, statement);
+                }
+                break;
+            
+            case 'if': {
+                const otherwise = this.newLabel('else');
+                const end = this.newLabel('endif');
+                this.jump(statement.test, otherwise, false);
+                this.block(statement.then);
+                if (statement.else && !this.alwaysReturns(statement.then)) {
+                    this.statement = null;
+                    this.emitJump('JMP', end);
+                }
+                this.place(otherwise);
+                if (statement.else) {
+                    this.block(statement.else);
+                    this.statement = null;
+                    this.place(end);
+                }
+                break;
+            }
+            
+            case 'while': {
+                const top = this.newLabel('while');
+                const end = this.newLabel('endwhile');
+                this.place(top);
+                this.jump(statement.test, end, false);
+                this.block(statement.body);
+                this.statement = { line: statement.line, column: statement.column };
+                this.emitJump('JMP', top);
+                this.statement = null;
+                this.place(end);
+                break;
+            }
+            
+            case 'return':
+                if (!this.frame) {
+                    this.error(statement, 'return outside a function');
+                    break;
+                }
+                if (statement.value) {
+                    this.value(statement.value);
+                } else {
+                    this.emit('MUL 0');
+                }
+                this.returnFromFunction();
+                break;
+            
+            case 'print':
+                this.value(statement.value);
+                this.emit(`OUT ${SetunCompiler.PRINT_NUMBER_PORT}`);
+                this.loadConstant(SetunTeletype.encodeChar('\n'));
+                this.emit(`OUT ${SetunCompiler.PRINT_CHARACTER_PORT}`);
+                break;
+            
+            case 'call':
+                this.value(statement.call);
+                break;
+        }
+    }
+    
+    /**
+     * Push or pop the accumulator, keeping count in a function so its
+     * stack offsets stay right
+     */
+    push() {
+        this.emit('PUSH');
+        this.moveStack(1);
+    }
+    
+    pop() {
+        this.emit('POP');
+        this.moveStack(-1);
+    }
+    
+    moveStack(words) {
+        if (this.frame) {
+            this.frame.depth += words;
+        }
+    }
+    
+    /**
+     * Stack offset (for LOADS and STORES) of a local or parameter, or null
+     * for a global
+     */
+    stackOffset(name) {
+        if (!this.frame) {
+            return null;
+        }
+        const { func, locals, depth } = this.frame;
+        if (locals.has(name)) {
+            return depth - locals.get(name);
+        }
+        const param = func.params.lastIndexOf(name);
+        if (param !== -1) {
+            // Past the locals and temporaries, the return address (on a memory stack), then the arguments
+            const returnWords = this.emulator.stackMode === 'memory' ? 1 : 0;
+            return depth + returnWords + func.params.length - 1 - param;
+        }
+        return null;
+    }
+    
+    loadVariable(name, node) {
+        const offset = this.stackOffset(name);
+        if (offset !== null) {
+            this.emit(`LOADS ${offset}`);
+        } else if (this.checkGlobal(name, node, false)) {
+            this.emit(`LOAD v_${name}`);
+        }
+    }
+    
+    storeVariable(name, node) {
+        const offset = this.stackOffset(name);
+        if (offset !== null) {
+            this.emit(`STORES ${offset}`);
+        } else if (this.checkGlobal(name, node, false)) {
+            this.emit(`STORE v_${name}`);
+        }
+    }
+    
+    checkGlobal(name, node, isArray) {
+        const global = this.globals.get(name);
+        if (!global) {
+            this.error(node, `Undefined variable "${name}"`);
+            return false;
+        }
+        if ((global.size !== null) !== isArray) {
+            this.error(node, isArray ? `"${name}" is not an array` : `"${name}" is an array; use ${name}[index]`);
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Put the address of an array element in __p
+     */
+    elementAddress(name, index, node) {
+        this.value(index);
+        if (this.checkGlobal(name, node, true)) {
+            this.emit(`ADD v_${name}`);
+        }
+        this.scratch.add('p');
+        this.emit('STORE __p');
+    }
+    
+    /**
+     * Whether the code for an expression may change __p: it indexes an
+     * array with a computed index, or calls a function
+     */
+    usesPointer(node) {
+        switch (node.type) {
+            case 'call':
+                return true;
+            case 'index':
+                return node.index.type !== 'number';
+            case 'unary':
+                return this.usesPointer(node.operand);
+            case 'binary':
+                return this.usesPointer(node.left) || this.usesPointer(node.right);
+            default:
+                return false;
+        }
+    }
+    
+    constantLabel(value) {
+        return value < 0 ? `__kn${-value}` : `__k${value}`;
+    }
+    
+    loadConstant(value) {
+        if (value === 0) {
+            this.emit('MUL 0');
+            return;
+        }
+        this.constants.add(value);
+        this.emit(`LOAD ${this.constantLabel(value)}`);
+    }
+    
+    /**
+     * Whether a value fits an instruction's immediate operand
+     */
+    fitsOperand(value) {
+        const width = this.emulator.instructionFormat === 'packed' ?
+            this.emulator.instructionLayout.address : this.emulator.wordSize;
+        return Math.abs(value) <= SetunEmulator.maxWordValue(width);
+    }
+    
+    /**
+     * Code leaving the value of an expression in the accumulator
+     */
+    value(node) {
+        switch (node.type) {
+            case 'number':
+                if (Math.abs(node.value) > SetunEmulator.maxWordValue(this.emulator.wordSize)) {
+                    this.error(node, `${node.value} does not fit in a ${this.emulator.wordSize}-trit word`);
+                }
+                this.loadConstant(node.value);
+                break;
+            
+            case 'name':
+                this.loadVariable(node.name, node);
+                break;
+            
+            case 'index':
+                if (node.index.type === 'number') {
+                    if (this.checkGlobal(node.name, node, true)) {
+                        this.emit(`LOAD v_${node.name}+${node.index.value}`);
+                    }
+                    break;
+                }
+                this.elementAddress(node.name, node.index, node);
+                this.emit('LOADI __p');
+                break;
+            
+            case 'call':
+                this.call(node);
+                break;
+            
+            case 'unary':
+                if (node.op === '!') {
+                    this.truthValue(node);
+                } else if (node.op === '-' && node.operand.type === 'number') {
+                    this.value({ ...node.operand, value: -node.operand.value });
+                } else {
+                    this.value(node.operand);
+                    if (node.op === '-') {
+                        this.emit('NEG');
+                    }
+                }
+                break;
+            
+            case 'binary':
+                if (SetunCompiler.ARITHMETIC[node.op]) {
+                    this.arithmetic(SetunCompiler.ARITHMETIC[node.op], node.left, node.right);
+                } else {
+                    this.truthValue(node);
+                }
+                break;
+        }
+    }
+    
+    /**
+     * left op right, where op is an instruction taking an immediate operand
+     */
+    arithmetic(mnemonic, left, right) {
+        if (right.type === 'number' && this.fitsOperand(right.value)) {
+            this.value(left);
+            this.immediate(mnemonic, right.value);
+            return;
+        }
+        
+        // A constant on the left: + and * commute, and c - x is -x + c
+        if (left.type === 'number' && this.fitsOperand(left.value) && ['ADD', 'SUB', 'MUL'].includes(mnemonic)) {
+            this.value(right);
+            if (mnemonic === 'SUB') {
+                this.emit('NEG');
+            }
+            this.immediate(mnemonic === 'MUL' ? 'MUL' : 'ADD', left.value);
+            return;
+        }
+        
+        const packed = this.emulator.instructionFormat === 'packed';
+        if (packed && right.type === 'name' && this.stackOffset(right.name) === null && this.globals.has(right.name)) {
+            this.value(left);
+            if (this.checkGlobal(right.name, right, false)) {
+                this.emit(`${mnemonic} @v_${right.name}`);
+            }
+            return;
+        }
+        
+        // A left side that is a single load can follow the right side, with nothing pushed
+        if (left.type === 'number' || left.type === 'name') {
+            this.value(right);
+            if (packed) {
+                this.scratch.add('t');
+                this.emit('STORE __t');
+                this.value(left);
+                this.emit(`${mnemonic} @__t`);
+            } else {
+                const patch = this.newLabel('op');
+                this.emit(`STORE ${patch}+1`);
+                this.value(left);
+                this.place(patch);
+                this.emit(`${mnemonic} 0`);
+            }
+            return;
+        }
+        
+        this.value(left);
+        this.push();
+        this.value(right);
+        if (packed) {
+            this.scratch.add('t');
+            this.emit('STORE __t');
+            this.pop();
+            this.emit(`${mnemonic} @__t`);
+        } else {
+            // Write the right-hand value into the operand cell of the instruction
+            const patch = this.newLabel('op');
+            this.emit(`STORE ${patch}+1`);
+            this.pop();
+            this.place(patch);
+            this.emit(`${mnemonic} 0`);
+        }
+    }
+    
+    /**
+     * op with an immediate operand, using INC and DEC, which need no
+     * operand, for adding or subtracting 1
+     */
+    immediate(mnemonic, value) {
+        if (Math.abs(value) === 1 && (mnemonic === 'ADD' || mnemonic === 'SUB')) {
+            this.emit((mnemonic === 'ADD') === (value === 1) ? 'INC' : 'DEC');
+        } else {
+            this.emit(`${mnemonic} ${value}`);
+        }
+    }
+    
+    call(node) {
+        const func = this.functions.get(node.name);
+        if (!func) {
+            this.error(node, `Undefined function "${node.name}"`);
+            return;
+        }
+        if (func.params.length !== node.args.length) {
+            this.error(node, `${node.name} takes ${func.params.length} argument(s), got ${node.args.length}`);
+            return;
+        }
+        
+        node.args.forEach(arg => {
+            this.value(arg);
+            this.push();
+        });
+        this.emitJump('CALL', `f_${node.name}`);
+        
+        // Drop the arguments; the last one popped holds the result
+        node.args.forEach(() => this.pop());
+    }
+    
+    /**
+     * 1 or 0 for a comparison or logical expression
+     */
+    truthValue(node) {
+        const yes = this.newLabel('true');
+        const end = this.newLabel('endtrue');
+        this.jump(node, yes, true);
+        this.loadConstant(0);
+        this.emitJump('JMP', end);
+        this.place(yes);
+        this.loadConstant(1);
+        this.place(end);
+    }
+    
+    /**
+     * Jump to a label when a condition is true (whenTrue) or false
+     */
+    jump(node, label, whenTrue) {
+        if (node.type === 'unary' && node.op === '!') {
+            this.jump(node.operand, label, !whenTrue);
+            return;
+        }
+        if (node.type === 'binary' && (node.op === '&&' || node.op === '||')) {
+            // Both must hold for && to jump when true, either for || to jump when false
+            if ((node.op === '&&') === whenTrue) {
+                const skip = this.newLabel('skip');
+                this.jump(node.left, skip, !whenTrue);
+                this.jump(node.right, label, whenTrue);
+                this.place(skip);
+            } else {
+                this.jump(node.left, label, whenTrue);
+                this.jump(node.right, label, whenTrue);
+            }
+            return;
+        }
+        if (node.type !== 'binary' || !SetunCompiler.COMPARISONS.includes(node.op)) {
+            this.value(node);
+            this.emitJump(whenTrue ? 'JNZ' : 'JZ', label);
+            return;
+        }
+        
+        // Compare left - right with zero. Against a constant, x >= c is tested
+        // as x > c - 1 and x <= c as x < c + 1, which take one jump fewer.
+        let op = whenTrue ? node.op : SetunCompiler.NEGATED[node.op];
+        let right = node.right;
+        if (right.type === 'number' && (op === '>=' || op === '<=')) {
+            const value = op === '>=' ? right.value - 1 : right.value + 1;
+            if (this.fitsOperand(value)) {
+                right = { ...right, value };
+                op = op === '>=' ? '>' : '<';
+            }
+        }
+        this.arithmetic('SUB', node.left, right);
+        switch (op) {
+            case '==':
+                this.emitJump('JZ', label);
+                break;
+            case '!=':
+                this.emitJump('JNZ', label);
+                break;
+            case '>':
+                this.emitJump('JNP', label);
+                break;
+            case '>=':
+                this.emitJump('JZ', label);
+                this.emitJump('JNP', label);
+                break;
+            case '<':
+                this.emit('NEG');
+                this.emitJump('JNP', label);
+                break;
+            case '<=':
+                this.emitJump('JZ', label);
+                this.emit('NEG');
+                this.emitJump('JNP', label);
+                break;
+        }
+    }
+}
+
+/**
+ * Recursive descent parser over the tokens of SetunCompiler.tokenize.
+ * Nodes carry the line and column of their first token.
+ */
+SetunCompiler.Parser = class {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+    
+    peek(text) {
+        const token = this.tokens[this.index];
+        return text === undefined ? token : token.text === text && token.kind !== 'number';
+    }
+    
+    next() {
+        return this.tokens[this.index++];
+    }
+    
+    expect(text) {
+        const token = this.next();
+        if (token.text !== text || token.kind === 'number') {
+            throw SetunCompiler.syntaxError(`Expected "${text}", got "${token.text}"`, token);
+        }
+        return token;
+    }
+    
+    name(what) {
+        const token = this.next();
+        if (token.kind !== 'name') {
+            throw SetunCompiler.syntaxError(`Expected ${what}, got "${token.text}"`, token);
+        }
+        return token.text;
+    }
+    
+    node(type, token, fields) {
+        return { type, line: token.line, column: token.column, ...fields };
+    }
+    
+    parseProgram() {
+        const functions = [];
+        const body = [];
+        while (this.peek().kind !== 'end') {
+            if (this.peek('func')) {
+                functions.push(this.parseFunction());
+            } else {
+                body.push(this.parseStatement());
+            }
+        }
+        return { functions, body };
+    }
+    
+    parseFunction() {
+        const start = this.expect('func');
+        const name = this.name('a function name');
+        this.expect('(');
+        const params = [];
+        if (!this.peek(')')) {
+            params.push(this.name('a parameter name'));
+            while (this.peek(',')) {
+                this.next();
+                params.push(this.name('a parameter name'));
+            }
+        }
+        this.expect(')');
+        const { statements, end } = this.parseBlock();
+        return this.node('function', start, { name, params, body: statements, end });
+    }
+    
+    /**
+     * { statements }, and the position of the closing brace
+     */
+    parseBlock() {
+        this.expect('{');
+        const statements = [];
+        while (!this.peek('}')) {
+            if (this.peek().kind === 'end') {
+                throw SetunCompiler.syntaxError('Missing "}"', this.peek());
+            }
+            if (this.peek('func')) {
+                throw SetunCompiler.syntaxError('Functions must be defined at the top level', this.peek());
+            }
+            statements.push(this.parseStatement());
+        }
+        const close = this.next();
+        return { statements, end: { line: close.line, column: close.column } };
+    }
+    
+    parseStatement() {
+        const token = this.peek();
+        
+        if (this.peek('var')) {
+            this.next();
+            const name = this.name('a variable name');
+            let size = null;
+            let init = null;
+            if (this.peek('[')) {
+                this.next();
+                const length = this.next();
+                if (length.kind !== 'number' || length.value < 1) {
+                    throw SetunCompiler.syntaxError('An array needs a positive size', length);
+                }
+                size = length.value;
+                this.expect(']');
+            } else if (this.peek('=')) {
+                this.next();
+                init = this.parseExpression();
+            }
+            this.expect(';');
+            return this.node('var', token, { name, size, init });
+        }
+        
+        if (this.peek('if')) {
+            this.next();
+            const test = this.parseCondition();
+            const then = this.parseBlock().statements;
+            let otherwise = null;
+            if (this.peek('else')) {
+                this.next();
+                otherwise = this.peek('if') ? [this.parseStatement()] : this.parseBlock().statements;
+            }
+            return this.node('if', token, { test, then, else: otherwise });
+        }
+        
+        if (this.peek('while')) {
+            this.next();
+            const test = this.parseCondition();
+            return this.node('while', token, { test, body: this.parseBlock().statements });
+        }
+        
+        if (this.peek('return')) {
+            this.next();
+            const value = this.peek(';') ? null : this.parseExpression();
+            this.expect(';');
+            return this.node('return', token, { value });
+        }
+        
+        if (this.peek('print')) {
+            this.next();
+            this.expect('(');
+            const value = this.parseExpression();
+            this.expect(')');
+            this.expect(';');
+            return this.node('print', token, { value });
+        }
+        
+        if (token.kind === 'name') {
+            const name = this.next().text;
+            if (this.peek('(')) {
+                this.index--;
+                const call = this.parsePrimary();
+                this.expect(';');
+                return this.node('call', token, { call });
+            }
+            let index = null;
+            if (this.peek('[')) {
+                this.next();
+                index = this.parseExpression();
+                this.expect(']');
+            }
+            this.expect('=');
+            const value = this.parseExpression();
+            this.expect(';');
+            return this.node('assign', token, { name, index, value });
+        }
+        
+        throw SetunCompiler.syntaxError(`Expected a statement, got "${token.text}"`, token);
+    }
+    
+    parseCondition() {
+        this.expect('(');
+        const test = this.parseExpression();
+        this.expect(')');
+        return test;
+    }
+    
+    parseExpression() {
+        return this.parseBinary(0);
+    }
+    
+    /**
+     * Operators of SetunCompiler.PRECEDENCE[level] and above
+     */
+    parseBinary(level) {
+        if (level === SetunCompiler.PRECEDENCE.length) {
+            return this.parseUnary();
+        }
+        let left = this.parseBinary(level + 1);
+        while (this.peek().kind === 'symbol' && SetunCompiler.PRECEDENCE[level].includes(this.peek().text)) {
+            const operator = this.next();
+            const right = this.parseBinary(level + 1);
+            left = this.node('binary', left, { op: operator.text, left, right });
+            if (SetunCompiler.COMPARISONS.includes(operator.text) && SetunCompiler.COMPARISONS.includes(this.peek().text)) {
+                throw SetunCompiler.syntaxError('Comparisons cannot be chained; use &&', this.peek());
+            }
+        }
+        return left;
+    }
+    
+    parseUnary() {
+        const token = this.peek();
+        if (token.kind === 'symbol' && ['-', '+', '!'].includes(token.text)) {
+            this.next();
+            return this.node('unary', token, { op: token.text, operand: this.parseUnary() });
+        }
+        return this.parsePrimary();
+    }
+    
+    parsePrimary() {
+        const token = this.next();
+        if (token.kind === 'number') {
+            return this.node('number', token, { value: token.value });
+        }
+        if (token.text === '(' && token.kind === 'symbol') {
+            const inner = this.parseExpression();
+            this.expect(')');
+            return inner;
+        }
+        if (token.kind !== 'name') {
+            throw SetunCompiler.syntaxError(`Expected a value, got "${token.text}"`, token);
+        }
+        
+        if (this.peek('(')) {
+            this.next();
+            const args = [];
+            if (!this.peek(')')) {
+                args.push(this.parseExpression());
+                while (this.peek(',')) {
+                    this.next();
+                    args.push(this.parseExpression());
+                }
+            }
+            this.expect(')');
+            return this.node('call', token, { name: token.text, args });
+        }
+        if (this.peek('[')) {
+            this.next();
+            const index = this.parseExpression();
+            this.expect(']');
+            return this.node('index', token, { name: token.text, index });
+        }
+        return this.node('name', token, { name: token.text });
+    }
+};
+
+SetunCompiler.KEYWORDS = ['var', 'func', 'if', 'else', 'while', 'return', 'print'];
+
+// Binary operators, loosest first
+SetunCompiler.PRECEDENCE = [['||'], ['&&'], ['==', '!=', '<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+SetunCompiler.COMPARISONS = ['==', '!=', '<', '<=', '>', '>='];
+SetunCompiler.NEGATED = { '==': '!=', '!=': '==', '<': '>=', '<=': '>', '>': '<=', '>=': '<' };
+SetunCompiler.ARITHMETIC = { '+': 'ADD', '-': 'SUB', '*': 'MUL', '/': 'DIV', '%': 'MOD' };
+
+// Teletype ports print uses (see SetunTeletype)
+SetunCompiler.PRINT_NUMBER_PORT = 3;
+SetunCompiler.PRINT_CHARACTER_PORT = 1;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunCompiler };
+}
@@ -0,0 +1,64 @@
+/**
+ * Setun - I/O devices
+ * Base class for devices on the emulator's I/O bus. A device claims a range
+ * of memory addresses and/or port numbers; the emulator routes loads and
+ * stores in the range, and IN/OUT on the ports, to read() and write().
+ * Devices work without a DOM, so they also run headless.
+ */
+
+class SetunDevice {
+    /**
+     * options.addresses: [start, end] memory range (inclusive), optional
+     * options.ports: port numbers for IN/OUT, optional
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.addresses = options.addresses || null;
+        this.ports = options.ports || [];
+        this.emulator = null; // Set on attach, for raising interrupts
+    }
+    
+    /**
+     * Called when the device is attached to an emulator
+     */
+    attach(emulator) {
+        this.emulator = emulator;
+    }
+    
+    /**
+     * Read a word. location is the offset into the claimed address range
+     * for memory-mapped access, or the port number for IN.
+     */
+    read(location, kind) {
+        return 0;
+    }
+    
+    /**
+     * Write a word. location is as for read().
+     */
+    write(location, value, kind) {
+    }
+    
+    /**
+     * Return to the power-on state (called on machine reset)
+     */
+    reset() {
+    }
+    
+    /**
+     * Device state as plain data, for step-back history and memory export
+     */
+    snapshot() {
+        return null;
+    }
+    
+    /**
+     * Restore state produced by snapshot()
+     */
+    restore(state) {
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunDevice };
+}
@@ -0,0 +1,346 @@
+/**
+ * Setun - Disassembler
+ * Turns memory back into source for the assembler. Code is told apart from
+ * data by tracing control flow from the entry points: each instruction is
+ * decoded with its operand, and execution is followed through fall-through,
+ * branches, calls, the trap vector (TVEC) and interrupt vector tables (IVB).
+ * Cells never reached are data.
+ *
+ * Jump, call and data targets get synthesized labels (or the program's own
+ * names, when given):
+ *   sub_12    CALL (or historical JMF) target
+ *   loc_5     Jump target
+ *   trap_40   Trap handler set by TVEC
+ *   irq_18    Interrupt handler found in a vector table
+ *   vec_9     Interrupt vector table set by IVB
+ *   data_20   Data read or written by an instruction
+ *
+ * The output assembles back to the same memory under the same profile and
+ * instruction format.
+ */
+
+class SetunDisassembler {
+    /**
+     * The emulator supplies the opcode table, instruction format and
+     * interrupt line count to disassemble for
+     */
+    constructor(emulator) {
+        this.emulator = emulator;
+    }
+    
+    /**
+     * Trace control flow through memory. options.entries lists the addresses
+     * execution may start from (default [0]); options.symbols maps names to
+     * addresses, used in place of synthesized labels.
+     *
+     * Returns { kinds, instructions, labels, vectors }: kinds[address] is
+     * 'code', 'operand' or 'data'; instructions maps the address of each
+     * instruction to its decoding; labels maps addresses to names; vectors
+     * holds the addresses of interrupt vector table entries.
+     */
+    analyze(memory = this.emulator.memory, options = {}) {
+        const kinds = new Array(memory.length).fill('data');
+        const instructions = new Map();
+        const roles = new Map();   // Address -> strongest reason to label it
+        const vectors = new Set();
+        const pending = [...(options.entries || [0])];
+        const inMemory = address => address !== null && address >= 0 && address < memory.length;
+        
+        const reference = (address, role) => {
+            if (!inMemory(address)) {
+                return;
+            }
+            const current = roles.get(address);
+            if (current === undefined ||
+                SetunDisassembler.ROLE_ORDER.indexOf(role) < SetunDisassembler.ROLE_ORDER.indexOf(current)) {
+                roles.set(address, role);
+            }
+        };
+        
+        while (pending.length > 0) {
+            let address = pending.pop();
+            
+            while (inMemory(address) && kinds[address] === 'data') {
+                const instruction = this.decode(memory, address);
+                if (!instruction || (instruction.size === 2 && kinds[address + 1] !== 'data')) {
+                    break;
+                }
+                kinds[address] = 'code';
+                if (instruction.size === 2) {
+                    kinds[address + 1] = 'operand';
+                }
+                instructions.set(address, instruction);
+                
+                if (instruction.pointer !== null) {
+                    reference(instruction.pointer, 'data');
+                }
+                const target = instruction.target;
+                switch (instruction.role) {
+                    case 'jump':
+                    case 'call':
+                    case 'trap':
+                        if (inMemory(target)) {
+                            reference(target, instruction.role);
+                            pending.push(target);
+                        }
+                        break;
+                    case 'vectors':
+                        reference(target, 'vectors');
+                        for (let line = 0; line < this.emulator.interruptLineCount; line++) {
+                            if (inMemory(target) && inMemory(target + line)) {
+                                vectors.add(target + line);
+                                const handler = memory[target + line];
+                                if (handler > 0 && handler < memory.length) {
+                                    reference(handler, 'irq');
+                                    pending.push(handler);
+                                }
+                            }
+                        }
+                        break;
+                    case 'data':
+                        reference(target, 'data');
+                        break;
+                }
+                
+                if (instruction.stops) {
+                    break;
+                }
+                address += instruction.size;
+            }
+        }
+        
+        // Only cells that start a statement can carry a label
+        const labels = new Map();
+        const names = new Set();
+        if (options.symbols) {
+            for (const [name, address] of options.symbols) {
+                if (inMemory(address) && kinds[address] !== 'operand' && !labels.has(address) &&
+                    SetunAssembler.isIdentifier(name) &&
+                    this.emulator.getOpcodeTable()[name.toUpperCase()] === undefined) {
+                    labels.set(address, name);
+                    names.add(name);
+                }
+            }
+        }
+        for (const [address, role] of [...roles].sort((a, b) => a[0] - b[0])) {
+            if (kinds[address] === 'operand' || labels.has(address)) {
+                continue;
+            }
+            let name = `${SetunDisassembler.LABEL_PREFIXES[role]}_${address}`;
+            while (names.has(name)) {
+                name += '_';
+            }
+            labels.set(address, name);
+            names.add(name);
+        }
+        
+        return { kinds, instructions, labels, vectors };
+    }
+    
+    /**
+     * Decode the instruction at an address, or return null if the cells
+     * there do not hold one that would assemble back to the same words.
+     * The result gives the mnemonic, raw opcode, operand and modifier, its
+     * size in cells, and what it does with its operand: role, the address it
+     * targets (or null) and the pointer cell of an indirect operand.
+     */
+    decode(memory, address) {
+        const emulator = this.emulator;
+        const word = memory[address];
+        const packed = emulator.instructionFormat === 'packed';
+        const { opcode, operand: field, modifier } = emulator.decodeInstruction(word);
+        
+        const name = Object.keys(emulator.getOpcodeTable())
+            .find(mnemonic => emulator.getOpcodeTable()[mnemonic] === opcode);
+        if (name === undefined) {
+            return null;
+        }
+        const takesOperand = emulator.hasOperand(opcode);
+        
+        let operand = null;
+        let size = 1;
+        if (!packed) {
+            if (takesOperand) {
+                if (address + 1 >= memory.length) {
+                    return null;
+                }
+                operand = memory[address + 1];
+                size = 2;
+            }
+        } else {
+            try {
+                if (emulator.encodeInstruction(opcode, takesOperand ? field : 0, takesOperand ? modifier : 0) !== word) {
+                    return null;
+                }
+            } catch (e) {
+                return null;
+            }
+            operand = takesOperand ? field : null;
+        }
+        
+        const historical = emulator.profile === 'historical';
+        const role = (historical ? SetunDisassembler.HISTORICAL_ROLES : SetunDisassembler.STANDARD_ROLES)[name] ||
+            (historical && takesOperand ? 'data' : null);
+        
+        // Effective address of the operand, where it can be known without running
+        let target = null;
+        let pointer = null;
+        if (operand !== null) {
+            if (!packed) {
+                target = operand;
+            } else if (modifier === 0) {
+                target = emulator.wrapAddress(operand);
+            } else if (!historical && modifier === -1) {
+                target = emulator.wrapAddress(address + operand);
+            } else if (!historical) {
+                pointer = emulator.wrapAddress(operand);
+            }
+        }
+        
+        const stops = (historical ? SetunDisassembler.HISTORICAL_STOPS : SetunDisassembler.STANDARD_STOPS).includes(name);
+        return { address, name, opcode, operand, modifier, size, role, target, pointer, stops };
+    }
+    
+    /**
+     * Disassemble memory into source text. Takes the options of analyze.
+     * Returns { text, lines, kinds, labels }: lines holds one
+     * { address, size, label, text, comment } per statement.
+     */
+    disassemble(memory = this.emulator.memory, options = {}) {
+        const analysis = this.analyze(memory, options);
+        const { kinds, instructions, labels, vectors } = analysis;
+        
+        // Trailing zeros are left out, as long as no label needs them
+        let end = memory.length;
+        while (end > 0 && memory[end - 1] === 0 && !labels.has(end - 1)) {
+            end--;
+        }
+        
+        const lines = [];
+        let address = 0;
+        while (address < end) {
+            const instruction = instructions.get(address);
+            if (instruction) {
+                lines.push(this.line(memory, address, instruction.size,
+                    this.formatInstruction(instruction, labels)));
+                address += instruction.size;
+                continue;
+            }
+            
+            // Runs of zero data words become reserved space
+            let run = 0;
+            while (address + run < end && memory[address + run] === 0 && kinds[address + run] === 'data' &&
+                (run === 0 || !labels.has(address + run))) {
+                run++;
+            }
+            if (run >= SetunDisassembler.MIN_SPACE_RUN) {
+                lines.push(this.line(memory, address, run, `.SPACE ${run}`));
+                address += run;
+                continue;
+            }
+            
+            const value = memory[address];
+            const text = vectors.has(address) && labels.has(value) ? labels.get(value) : String(value);
+            lines.push(this.line(memory, address, 1, `.WORD ${text}`));
+            address++;
+        }
+        lines.forEach(line => {
+            line.label = labels.get(line.address) || null;
+        });
+        
+        const emulator = this.emulator;
+        const header = `; Disassembly of ${end} words (${emulator.instructionFormat} format, ${emulator.profile} profile)`;
+        const text = [header, ...lines.flatMap(line => {
+            const statement = `        ${line.text.padEnd(24)}; ${line.comment}`;
+            return line.label ? [`${line.label}:`, statement] : [statement];
+        })].join('\n') + '\n';
+        
+        return { text, lines, kinds, labels };
+    }
+    
+    line(memory, address, size, text) {
+        let comment;
+        if (text.startsWith('.SPACE')) {
+            comment = `${address}-${address + size - 1}`;
+        } else {
+            const words = memory.slice(address, address + size).map(word => SetunEmulator.toBalancedTernary(word));
+            comment = `${address}: ${words.join(' ')}`;
+        }
+        return { address, size, label: null, text, comment };
+    }
+    
+    /**
+     * Source text of a decoded instruction, naming labelled operands
+     */
+    formatInstruction(instruction, labels = new Map()) {
+        const { name, operand, modifier, role, address } = instruction;
+        if (operand === null) {
+            return name;
+        }
+        
+        const emulator = this.emulator;
+        if (emulator.instructionFormat === 'simple') {
+            return `${name} ${role ? this.symbolic(operand, operand, labels) : operand}`;
+        }
+        if (emulator.profile === 'historical') {
+            if (modifier !== 0) {
+                return `${name} ${modifier === 1 ? '@' : '~'}${operand}`;
+            }
+            return `${name} ${this.symbolic(operand, instruction.target, labels)}`;
+        }
+        if (modifier === 1) {
+            return `${name} @${this.symbolic(operand, instruction.pointer, labels)}`;
+        }
+        if (modifier === -1) {
+            // The assembler subtracts the instruction's address from relative operands
+            const target = address + operand;
+            return `${name} ~${role && labels.has(target) ? labels.get(target) : target}`;
+        }
+        return `${name} ${role ? this.symbolic(operand, instruction.target, labels) : operand}`;
+    }
+    
+    /**
+     * The label of an address, if the assembler would encode that label back
+     * to the same address field; otherwise the field's value
+     */
+    symbolic(value, address, labels) {
+        if (!labels.has(address)) {
+            return String(value);
+        }
+        let encoded = address;
+        if (this.emulator.instructionFormat === 'packed' &&
+            address > SetunEmulator.maxWordValue(this.emulator.instructionLayout.address)) {
+            encoded -= this.emulator.memory.length;
+        }
+        return encoded === value ? labels.get(address) : String(value);
+    }
+}
+
+// What an operand means to control-flow tracing, by mnemonic. Other
+// standard instructions take immediate values; every other historical
+// instruction addresses data.
+SetunDisassembler.STANDARD_ROLES = {
+    JMP: 'jump', JZ: 'jump', JNZ: 'jump', JNP: 'jump', JOV: 'jump',
+    CALL: 'call', TVEC: 'trap', IVB: 'vectors',
+    LOAD: 'data', STORE: 'data', LOADI: 'data', STOREI: 'data'
+};
+SetunDisassembler.HISTORICAL_ROLES = {
+    JMP: 'jump', JPS: 'jump', JZS: 'jump', JNS: 'jump', JMF: 'call'
+};
+
+// Instructions after which execution does not fall through
+SetunDisassembler.STANDARD_STOPS = ['HALT', 'JMP', 'RET', 'IRET'];
+SetunDisassembler.HISTORICAL_STOPS = ['HLT', 'JMP'];
+
+// Label roles, strongest first, and the prefix of each synthesized label
+SetunDisassembler.ROLE_ORDER = ['call', 'trap', 'irq', 'jump', 'vectors', 'data'];
+SetunDisassembler.LABEL_PREFIXES = {
+    call: 'sub', trap: 'trap', irq: 'irq', jump: 'loc', vectors: 'vec', data: 'data'
+};
+
+// Shortest run of zero data words written as .SPACE
+SetunDisassembler.MIN_SPACE_RUN = 3;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunDisassembler };
+}
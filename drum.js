@@ -0,0 +1,125 @@
+/**
+ * Setun - Magnetic drum secondary storage
+ * The original machine paged its small ferrite store to and from a drum.
+ * The drum holds pageCount pages of pageSize words, transferred to and
+ * from main memory a whole page at a time.
+ */
+
+class SetunDrum {
+    constructor(options = {}) {
+        this.pageSize = options.pageSize || 27;             // Words per page
+        this.pageCount = options.pageCount || 72;           // 72 x 27 = 1944 words, as on Setun
+        this.pagesPerTrack = options.pagesPerTrack || 4;    // Pages around the circumference
+        this.rotationCycles = options.rotationCycles || 2000; // One revolution, in machine cycles
+        
+        this.words = new Array(this.pageSize * this.pageCount).fill(0);
+        
+        // Last transfer, for display
+        this.lastPage = null;
+        this.lastOperation = null; // 'read' | 'write'
+        this.transferCount = 0;
+    }
+    
+    /**
+     * Check whether a page number exists on the drum
+     */
+    isValidPage(page) {
+        return Number.isInteger(page) && page >= 0 && page < this.pageCount;
+    }
+    
+    /**
+     * Sector under the head at a given machine cycle
+     */
+    getHeadSector(cycle) {
+        const sectorCycles = this.rotationCycles / this.pagesPerTrack;
+        return Math.floor((cycle % this.rotationCycles) / sectorCycles);
+    }
+    
+    /**
+     * Cycles needed to transfer a page starting at a given machine cycle:
+     * wait for the page's sector to come under the head, then let it pass
+     */
+    getLatency(page, cycle) {
+        const sectorCycles = this.rotationCycles / this.pagesPerTrack;
+        const start = (page % this.pagesPerTrack) * sectorCycles;
+        const position = cycle % this.rotationCycles;
+        const wait = (start - position + this.rotationCycles) % this.rotationCycles;
+        return Math.round(wait + sectorCycles);
+    }
+    
+    /**
+     * Copy of a page's words
+     */
+    readPage(page) {
+        const start = page * this.pageSize;
+        this.lastPage = page;
+        this.lastOperation = 'read';
+        this.transferCount++;
+        return this.words.slice(start, start + this.pageSize);
+    }
+    
+    /**
+     * Overwrite a page; missing words are written as zero
+     */
+    writePage(page, words) {
+        const start = page * this.pageSize;
+        for (let i = 0; i < this.pageSize; i++) {
+            this.words[start + i] = words[i] || 0;
+        }
+        this.lastPage = page;
+        this.lastOperation = 'write';
+        this.transferCount++;
+    }
+    
+    /**
+     * Forget the last transfer (drum contents survive a machine reset)
+     */
+    resetHead() {
+        this.lastPage = null;
+        this.lastOperation = null;
+        this.transferCount = 0;
+    }
+    
+    clear() {
+        this.words.fill(0);
+        this.resetHead();
+    }
+    
+    /**
+     * Drum image for saving to a file
+     */
+    toImage() {
+        return {
+            format: 'setun-drum',
+            version: 1,
+            pageSize: this.pageSize,
+            pageCount: this.pageCount,
+            words: [...this.words]
+        };
+    }
+    
+    /**
+     * Load a drum image. The geometry is taken from the image.
+     */
+    loadImage(image) {
+        if (!image || image.format !== 'setun-drum' || !Array.isArray(image.words)) {
+            throw new Error('Invalid drum image');
+        }
+        if (!Number.isInteger(image.pageSize) || !Number.isInteger(image.pageCount) ||
+            image.words.length !== image.pageSize * image.pageCount) {
+            throw new Error('Drum image size does not match its page geometry');
+        }
+        if (!image.words.every(Number.isInteger)) {
+            throw new Error('Drum image contains non-integer words');
+        }
+        
+        this.pageSize = image.pageSize;
+        this.pageCount = image.pageCount;
+        this.words = [...image.words];
+        this.resetHead();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunDrum };
+}
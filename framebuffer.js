@@ -0,0 +1,101 @@
+/**
+ * Setun - Framebuffer display
+ * A memory-mapped region drawn as a grid of pixels. Each pixel shows one of
+ * three palette colours, for -1, 0 and +1.
+ *
+ * Modes:
+ *   trit  Every trit of a word is a pixel. A row takes ceil(width / wordTrits)
+ *         words, most significant trit leftmost, so a row word written in
+ *         balanced ternary reads left to right.
+ *   word  Every word is a pixel, coloured by its sign. A row takes width words.
+ */
+
+class SetunFramebuffer extends SetunDevice {
+    /**
+     * options.base: first mapped address
+     * options.width, options.height: size in pixels
+     * options.mode: 'trit' or 'word'
+     * options.wordTrits: trits per word used for trit mode
+     * options.palette: colours for [-1, 0, +1]
+     */
+    constructor(options = {}) {
+        const base = options.base || 0;
+        const width = options.width || 18;
+        const height = options.height || 9;
+        const mode = options.mode || 'trit';
+        const wordTrits = options.wordTrits || 18;
+        const wordsPerRow = mode === 'trit' ? Math.ceil(width / wordTrits) : width;
+        
+        super(options.name || 'framebuffer', { addresses: [base, base + wordsPerRow * height - 1] });
+        this.width = width;
+        this.height = height;
+        this.mode = mode;
+        this.wordTrits = wordTrits;
+        this.wordsPerRow = wordsPerRow;
+        this.palette = [...(options.palette || SetunFramebuffer.DEFAULT_PALETTE)];
+        
+        this.words = new Array(wordsPerRow * height).fill(0);
+        this.dirty = true; // Changed since last drawn
+    }
+    
+    read(offset) {
+        return this.words[offset];
+    }
+    
+    write(offset, value) {
+        this.words[offset] = value;
+        this.dirty = true;
+    }
+    
+    /**
+     * Pixel value (-1, 0 or 1) at a position
+     */
+    getPixel(x, y) {
+        if (this.mode === 'word') {
+            return Math.sign(this.words[y * this.wordsPerRow + x]);
+        }
+        const word = this.words[y * this.wordsPerRow + Math.floor(x / this.wordTrits)];
+        const trits = SetunEmulator.toTrits(word, this.wordTrits);
+        return trits[this.wordTrits - 1 - (x % this.wordTrits)];
+    }
+    
+    /**
+     * Draw the display on a 2D canvas context, scale canvas pixels per pixel
+     */
+    draw(context, scale) {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                context.fillStyle = this.palette[this.getPixel(x, y) + 1];
+                context.fillRect(x * scale, y * scale, scale, scale);
+            }
+        }
+        this.dirty = false;
+    }
+    
+    /**
+     * A machine reset blanks the screen
+     */
+    reset() {
+        this.words.fill(0);
+        this.dirty = true;
+    }
+    
+    snapshot() {
+        return { words: [...this.words] };
+    }
+    
+    restore(state) {
+        this.words = [...(state.words || [])];
+        while (this.words.length < this.wordsPerRow * this.height) {
+            this.words.push(0);
+        }
+        this.dirty = true;
+    }
+}
+
+// Colours for -1, 0 and +1
+SetunFramebuffer.DEFAULT_PALETTE = ['#101820', '#3a4654', '#ffb347'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunFramebuffer };
+}
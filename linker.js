@@ -0,0 +1,207 @@
+/**
+ * Setun - Linker
+ * Places separately assembled modules (SetunAssembler with relocatable
+ * set) one after another in memory, resolves the symbols each imports
+ * against those the others export, and adjusts every word that holds a
+ * label or an imported symbol.
+ *
+ * A project is a list of source files. Files ending in .inc are only read
+ * through .INCLUDE; every other file is a module, linked in project order
+ * from address 0. A project with a single module is assembled at its own
+ * addresses, without relocation. Modules ending in .tern are compiled
+ * with SetunCompiler.
+ */
+
+class SetunLinker {
+    /**
+     * The emulator supplies the instruction format and memory size to link for
+     */
+    constructor(emulator) {
+        this.emulator = emulator;
+    }
+    
+    /**
+     * Whether a project file is a module, as opposed to an include file
+     */
+    static isModule(file) {
+        return !/\.inc$/i.test(file);
+    }
+    
+    /**
+     * Assemble and link a project. files lists the file names in order;
+     * readFile(name) returns the text of a file, or null. Returns { words,
+     * symbols, labels, sourceMap, kinds, modules, errors } like SetunAssembler.assemble,
+     * with modules holding { file, base, size, program, listing,
+     * expandedListing } for each module; its listings show linked addresses
+     * and words.
+     */
+    build(files, readFile) {
+        const moduleFiles = files.filter(file => SetunLinker.isModule(file));
+        if (moduleFiles.length === 0) {
+            return {
+                words: [], symbols: new Map(), labels: new Set(), sourceMap: [], kinds: [], modules: [],
+                errors: [{ file: null, line: 0, column: 1, message: 'The project has no modules (files not ending in .inc)' }]
+            };
+        }
+        
+        const relocatable = moduleFiles.length > 1;
+        const modules = moduleFiles.map(file => ({
+            file,
+            program: this.assembleFile(file, readFile, relocatable)
+        }));
+        
+        const errors = modules.flatMap(module => module.program.errors);
+        if (!relocatable || errors.length > 0) {
+            const program = modules[0].program;
+            return {
+                ...program,
+                modules: modules.map(module => ({
+                    ...module,
+                    base: 0,
+                    size: module.program.words.length,
+                    listing: module.program.listing,
+                    expandedListing: module.program.expandedListing
+                })),
+                errors
+            };
+        }
+        return this.link(modules);
+    }
+    
+    /**
+     * Assemble one module: Tern source through SetunCompiler, anything else
+     * as assembly
+     */
+    assembleFile(file, readFile, relocatable) {
+        const source = readFile(file) || '';
+        if (SetunCompiler.isSource(file)) {
+            return new SetunCompiler(this.emulator).build(source, { file, relocatable });
+        }
+        return new SetunAssembler(this.emulator).assemble(source, { file, readFile, relocatable });
+    }
+    
+    /**
+     * Link relocatable modules, given as { file, program }, from address 0
+     */
+    link(modules) {
+        const memorySize = this.emulator.memory.length;
+        const errors = [];
+        const words = [];
+        const sourceMap = [];
+        const kinds = [];
+        const symbols = new Map();
+        const exportedBy = new Map();  // Symbol -> file exporting it
+        
+        // Place the modules one after another
+        let base = 0;
+        const placed = modules.map(module => {
+            const size = module.program.words.length;
+            if (base + size > memorySize) {
+                errors.push({ file: module.file, line: 0, column: 1,
+                    message: `Module ${module.file} needs addresses ${base}-${base + size - 1}, outside the ${memorySize}-word memory` });
+            }
+            const placement = { ...module, base, size };
+            base += size;
+            return placement;
+        });
+        if (errors.length > 0) {
+            return { words: [], symbols, labels: new Set(), sourceMap, kinds, modules: placed, errors };
+        }
+        
+        // Global symbols
+        for (const module of placed) {
+            for (const [name, symbol] of module.program.exports) {
+                if (exportedBy.has(name)) {
+                    errors.push({ file: symbol.file, line: symbol.line, column: symbol.column,
+                        message: `Duplicate symbol "${name}" (also exported by ${exportedBy.get(name)})` });
+                    continue;
+                }
+                exportedBy.set(name, module.file);
+                symbols.set(name, symbol.relocatable ? symbol.value + module.base : symbol.value);
+            }
+        }
+        
+        for (const module of placed) {
+            const program = module.program;
+            program.words.forEach((word, offset) => {
+                words[module.base + offset] = word;
+            });
+            program.sourceMap.forEach((location, offset) => {
+                sourceMap[module.base + offset] = location;
+            });
+            program.kinds.forEach((kind, offset) => {
+                kinds[module.base + offset] = kind;
+            });
+            
+            for (const [name, location] of program.imports) {
+                if (!symbols.has(name)) {
+                    errors.push({ ...location, message: `Unresolved symbol "${name}" (no module exports it)` });
+                }
+            }
+            for (const relocation of program.relocations) {
+                if (relocation.symbol !== null && !symbols.has(relocation.symbol)) {
+                    continue; // Reported at the .IMPORT
+                }
+                // Module addresses move with the module; imported symbols are offset by the value
+                const target = relocation.value + (relocation.symbol === null ? module.base : symbols.get(relocation.symbol));
+                try {
+                    const address = module.base + relocation.address;
+                    words[address] = this.patch(words[address], relocation.kind, target, address);
+                } catch (e) {
+                    errors.push({ file: relocation.file, line: relocation.line, column: relocation.column, message: e.message });
+                }
+            }
+        }
+        
+        const linked = Array.from(words, word => word || 0);
+        placed.forEach(module => {
+            module.listing = this.relocateListing(module.program.listing, module.base, linked);
+            module.expandedListing = this.relocateListing(module.program.expandedListing, module.base, linked);
+        });
+        return {
+            words: linked,
+            symbols,
+            labels: new Set(symbols.keys()),
+            sourceMap,
+            kinds,
+            modules: placed,
+            errors
+        };
+    }
+    
+    /**
+     * A module's listing moved to its base, showing the linked words
+     */
+    relocateListing(listing, base, words) {
+        return listing.map(row => ({
+            ...row,
+            address: row.address === null ? null : row.address + base,
+            words: row.words.map(word => ({ address: word.address + base, value: words[word.address + base] }))
+        }));
+    }
+    
+    /**
+     * A word with a relocated target written in: the whole word, or the
+     * address field of a packed instruction at the given address
+     */
+    patch(word, kind, target, address) {
+        if (kind === 'word') {
+            return target;
+        }
+        
+        const emulator = this.emulator;
+        const { opcode, modifier } = emulator.decodeInstruction(word);
+        let field = target;
+        if (kind === 'relative') {
+            field = target - address;
+        } else if (target > SetunEmulator.maxWordValue(emulator.instructionLayout.address)) {
+            // Past the field's reach: count back from the top of memory
+            field = target - emulator.memory.length;
+        }
+        return emulator.encodeInstruction(opcode, field, modifier);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunLinker };
+}
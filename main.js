@@ -1,5 +1,11 @@
-const { app, BrowserWindow, Menu } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain } = require('electron');
 const path = require('path');
+const fs = require('fs');
+
+const TAPE_FILTERS = [
+    { name: 'Setun Tape Images', extensions: ['tape'] },
+    { name: 'All Files', extensions: ['*'] }
+];
 
 let mainWindow;
 
@@ -41,6 +47,33 @@ function createWindow() {
                     }
                 },
                 { type: 'separator' },
+                {
+                    label: 'Load Tape...',
+                    click: async () => {
+                        const result = await dialog.showOpenDialog(mainWindow, {
+                            title: 'Load Paper Tape',
+                            filters: TAPE_FILTERS,
+                            properties: ['openFile']
+                        });
+                        if (!result.canceled && result.filePaths.length > 0) {
+                            let text;
+                            try {
+                                text = fs.readFileSync(result.filePaths[0], 'utf8');
+                            } catch (e) {
+                                dialog.showErrorBox('Load Paper Tape', `Cannot read ${result.filePaths[0]}: ${e.message}`);
+                                return;
+                            }
+                            mainWindow.webContents.send('load-tape', text, path.basename(result.filePaths[0]));
+                        }
+                    }
+                },
+                {
+                    label: 'Save Punched Tape...',
+                    click: () => {
+                        mainWindow.webContents.send('save-tape');
+                    }
+                },
+                { type: 'separator' },
                 {
                     label: 'Exit',
                     accelerator: 'CmdOrCtrl+Q',
@@ -142,6 +175,20 @@ function createWindow() {
     });
 }
 
+// Save a punched tape image sent from the renderer
+ipcMain.handle('save-tape-file', async (event, text) => {
+    const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Save Punched Tape',
+        defaultPath: 'punched.tape',
+        filters: TAPE_FILTERS
+    });
+    if (result.canceled || !result.filePath) {
+        return false;
+    }
+    fs.writeFileSync(result.filePath, text, 'utf8');
+    return true;
+});
+
 app.whenReady().then(() => {
     createWindow();
 
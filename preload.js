@@ -11,6 +11,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
     onPauseProgram: (callback) => ipcRenderer.on('pause-program', callback),
     onResetProgram: (callback) => ipcRenderer.on('reset-program', callback),
     onShowAbout: (callback) => ipcRenderer.on('show-about', callback),
+    onLoadTape: (callback) => ipcRenderer.on('load-tape', callback),
+    onSaveTape: (callback) => ipcRenderer.on('save-tape', callback),
+    
+    // File dialogs handled by the main process
+    saveTapeFile: (text) => ipcRenderer.invoke('save-tape-file', text),
     
     // Platform info
     platform: process.platform,
@@ -3,20 +3,94 @@
  * Core emulator logic for the historic Setun computer
  */
 
+/**
+ * A fault raised while executing in strict mode. type is one of the keys
+ * of SetunFault.CODES; pc and instruction are filled in by the emulator.
+ */
+class SetunFault extends Error {
+    constructor(type, message) {
+        super(message);
+        this.name = 'SetunFault';
+        this.type = type;
+        this.pc = null;          // Address of the faulting instruction
+        this.instruction = null; // Instruction word at that address
+    }
+    
+    /**
+     * Numeric fault code, passed to the trap handler in ACC
+     */
+    get code() {
+        return SetunFault.CODES[this.type];
+    }
+}
+
+SetunFault.CODES = {
+    'illegal-instruction': 1,
+    'address-range': 2,
+    'protected-write': 3,
+    'stack-overflow': 4,
+    'execute-violation': 5,
+    'read-violation': 6
+};
+
+SetunFault.TITLES = {
+    'illegal-instruction': 'Illegal instruction',
+    'address-range': 'Address out of range',
+    'protected-write': 'Protected write',
+    'stack-overflow': 'Stack overflow',
+    'execute-violation': 'Execute violation',
+    'read-violation': 'Read violation'
+};
+
 class SetunEmulator {
-    constructor(memorySize = 81) {
+    constructor(memorySize = 81, options = {}) {
+        // Word format
+        this.wordSize = options.wordSize || 18; // Trits per word (18 = long word, 9 = short word)
+        this.overflowMode = options.overflowMode || 'wrap'; // 'wrap' | 'saturate'
+        
+        // Instruction format: 'simple' uses an opcode cell followed by an operand cell,
+        // 'packed' holds address, opcode and modifier trit fields in a single word
+        this.instructionFormat = options.instructionFormat || 'simple';
+        this.instructionLayout = { address: 5, opcode: 4, modifier: 1 }; // Field widths in trits
+        
+        // Machine profile: 'standard' (the emulator's own instruction set) or
+        // 'historical' (the documented Setun instruction set with F and S registers)
+        this.profile = 'standard';
+        
         // Machine state
         this.accumulator = 0;      // Main register
         this.programCounter = 0;   // Current instruction address
         this.instructionRegister = 0; // Current instruction
+        this.overflow = 0;         // Overflow flag: +1 above range, -1 below range, 0 none
+        this.registerF = 0;        // Historical profile: 5-trit index (address modifier) register
+        this.registerS = 0;        // Historical profile: multiplier / extended accumulator register
         this.memorySize = memorySize; // Configurable memory size
         this.memory = new Array(this.memorySize);
         this.memory.fill(0);
         
-        // Call stack for subroutines
+        // Call stack for subroutines. CALL frames are return addresses;
+        // interrupt frames are objects holding the saved machine state.
         this.callStack = [];
         this.maxCallDepth = 10;
         
+        // Memory-resident stack. PUSH/POP always use it; in 'memory' stack mode
+        // CALL/RET and interrupts keep their frames there instead of in callStack.
+        // The stack grows downward from stackTop and may not pass stackLimit.
+        this.stackMode = options.stackMode || 'internal'; // 'internal' | 'memory'
+        this.stackTop = memorySize - 10;  // Just below the interrupt vector table
+        this.stackLimit = Math.max(0, this.stackTop - Math.floor(memorySize / 3) + 1);
+        this.stackPointer = this.stackTop + 1; // Empty stack
+        this.stackFrames = [];            // {type: 'call'|'handler', address} - where frames start in memory
+        
+        // Interrupt controller
+        this.interruptLineCount = 9;     // Line 0 is the interval timer, the rest are for devices
+        this.interruptVectorBase = memorySize - this.interruptLineCount; // memory[base + line] = handler address
+        this.interruptsEnabled = false;  // Master enable (EI/DI)
+        this.interruptMask = SetunEmulator.maxWordValue(this.interruptLineCount); // Trit i = + enables line i
+        this.pendingInterrupts = new Set();
+        this.timerInterval = 0;          // Raise line 0 every N instructions (0 = off)
+        this.timerCounter = 0;
+        
         // Breakpoints
         this.breakpoints = new Set(); // Memory addresses with breakpoints
         this.conditionalBreakpoints = []; // {type, register, operator, value}
@@ -31,6 +105,12 @@ class SetunEmulator {
         
         // Memory protection
         this.protectedMemory = new Set(); // Addresses that are read-only
+        this.memoryPermissions = new Map(); // Address -> 'rwx' style string; absent means 'rwx'
+        
+        // Self-modifying code detection
+        this.executedAddresses = new Set(); // Instruction cells fetched since reset
+        this.warnOnSelfModify = false;
+        this.currentInstructionAddress = 0; // Address of the instruction being executed
         
         // Memory access tracking for heatmap
         this.memoryAccessCounts = new Array(this.memorySize);
@@ -43,6 +123,33 @@ class SetunEmulator {
         this.maxInstructions = 10000; // Prevent infinite loops
         this.hitBreakpoint = false;
         
+        // Timing model: each instruction costs its base cycles plus
+        // memoryLatency cycles per memory word accessed
+        this.cycleTimeMicros = 5;       // 200 kHz clock
+        this.memoryLatency = 8;         // Cycles per memory access
+        this.defaultCycles = 20;        // Base cost of opcodes not in CYCLE_COSTS
+        this.cycleCount = 0;            // Cycles since reset
+        this.lastInstructionCycles = 0; // Cost of the last instruction executed
+        this.stepMemoryAccesses = 0;    // Memory accesses by the current instruction
+        this.stepDeviceCycles = 0;      // Cycles spent waiting on devices (drum latency)
+        
+        // Magnetic drum secondary storage (a SetunDrum), if attached
+        this.drum = options.drum || null;
+        
+        // I/O bus: devices (see SetunDevice) claiming memory ranges and ports
+        this.devices = [];
+        this.waitingForDevice = null; // Device an IN is waiting on (e.g. empty keyboard buffer)
+        
+        // Strict mode turns silent NOPs and skipped accesses into faults
+        this.strictMode = options.strictMode || false;
+        this.trapVector = 0;    // Address of the in-program trap handler (0 = none)
+        this.lastFault = null;  // SetunFault that stopped execution, if any
+        
+        // Labels of the loaded program, name -> address
+        this.symbols = new Map();
+        // Source location of each word of the loaded program, address -> { file, line, column }
+        this.sourceMap = [];
+        
         // Instruction opcodes (using balanced ternary encoding)
         this.OPCODES = {
             HALT: 0,      // 0 - Stop execution
@@ -62,13 +169,88 @@ class SetunEmulator {
             INC: 9,       // +00 - Increment accumulator
             DEC: -9,      // -00 - Decrement accumulator
             LOADI: 10,    // ++- - Load indirect from memory
-            STOREI: -10   // --+ - Store indirect to memory
+            STOREI: -10,  // --+ - Store indirect to memory
+            JOV: 11,      // ++- - Jump if last arithmetic result overflowed
+            AND: 12,      // ++0 - Trit-wise minimum with operand
+            OR: -12,      // --0 - Trit-wise maximum with operand
+            CONS: 13,     // +++ - Trit-wise consensus with operand
+            TMUL: -13,    // --- - Trit-wise multiply with operand (sign mask)
+            INV: -11,     // --+ - Invert every trit
+            ROT: 14,      // +--- - Rotate accumulator trits by operand (positive left)
+            MUL: 15,      // +--0 - Multiply accumulator by operand
+            DIV: -15,     // -++0 - Divide accumulator by operand, rounded to nearest
+            MOD: -14,     // -+++ - Balanced remainder of accumulator / operand
+            EI: 16,       // +--+ - Enable interrupts
+            DI: -16,      // -++- - Disable interrupts
+            IRET: 17,     // +-0- - Return from interrupt handler
+            IMSK: -17,    // -+0+ - Set interrupt mask (trit i = + enables line i)
+            TIMER: 18,    // +-00 - Raise timer interrupt every operand instructions (0 = off)
+            INT: -18,     // -+00 - Raise interrupt on line given by operand
+            IVB: 19,      // +-0+ - Set interrupt vector table base address
+            PUSH: 20,     // +-+- - Push accumulator onto the memory stack
+            POP: -20,     // -+-+ - Pop the memory stack into the accumulator
+            LOADS: 21,    // +-+0 - Load from stack: ACC = memory[SP + operand]
+            STORES: -21,  // -+-0 - Store to stack: memory[SP + operand] = ACC
+            TVEC: 22,     // +-++ - Set trap handler address for strict mode faults
+            DRD: 23,      // +0-- - Read drum page operand into memory at ACC
+            DWR: -23,     // -0++ - Write memory at ACC to drum page operand
+            IN: 24,       // +0-0 - Read from I/O port operand into ACC
+            OUT: -24      // -0+0 - Write ACC to I/O port operand
+        };
+        
+        // Opcodes that take an operand (the next cell, or the address field when packed)
+        this.OPERAND_OPCODES = new Set([
+            this.OPCODES.ADD, this.OPCODES.SUB, this.OPCODES.LOAD, this.OPCODES.STORE,
+            this.OPCODES.JMP, this.OPCODES.JZ, this.OPCODES.JNZ, this.OPCODES.JNP,
+            this.OPCODES.CALL, this.OPCODES.LOADI, this.OPCODES.STOREI, this.OPCODES.JOV,
+            this.OPCODES.AND, this.OPCODES.OR, this.OPCODES.CONS, this.OPCODES.TMUL, this.OPCODES.ROT,
+            this.OPCODES.MUL, this.OPCODES.DIV, this.OPCODES.MOD,
+            this.OPCODES.IMSK, this.OPCODES.TIMER, this.OPCODES.INT, this.OPCODES.IVB,
+            this.OPCODES.LOADS, this.OPCODES.STORES, this.OPCODES.TVEC,
+            this.OPCODES.DRD, this.OPCODES.DWR, this.OPCODES.IN, this.OPCODES.OUT
+        ]);
+        
+        // Historical Setun instruction set: 3-trit opcodes operating on the
+        // effective address A* (address field modified by F through the modifier trit)
+        this.HISTORICAL_OPCODES = {
+            HLT: 0,       // 000 - Stop execution
+            LDA: 9,       // +00 - (A*) => ACC
+            ADA: 10,      // +0+ - ACC + (A*) => ACC
+            SBA: 8,       // +0- - ACC - (A*) => ACC
+            LDS: 12,      // ++0 - (A*) => S
+            MAD: 13,      // +++ - ACC + (A*) * S => ACC (multiply-and-add)
+            MUL: 11,      // ++- - (A*) * S => ACC:S (high trits in ACC, low trits in S)
+            LMU: 6,       // +-0 - (A*) x ACC => ACC (trit-wise logical multiply)
+            SHF: -12,     // --0 - Shift ACC by (A*) trits (positive left, negative right)
+            NRM: -10,     // -0- - Normalize ACC, shift count => A*
+            STA: -9,      // -00 - ACC => A*
+            STS: -8,      // -0+ - S => A*
+            LDF: -1,      // 00- - (A*) => F
+            STF: 1,       // 00+ - F => A*
+            ADF: -4,      // 0-- - F + (A*) => F
+            JMP: 3,       // 0+0 - A* => PC
+            JPS: 4,       // 0++ - A* => PC if ACC > 0
+            JZS: 2,       // 0+- - A* => PC if ACC = 0
+            JNS: -2,      // 0-+ - A* => PC if ACC < 0
+            JMF: -3       // 0-0 - PC + 1 => F, A* => PC (link through F)
+        };
+        
+        // Base cost in clock cycles, by mnemonic, before memory latency.
+        // Calibrated so an ADD with one operand access takes the historical
+        // Setun's 180 us and a multiply or divide its 335 us.
+        this.CYCLE_COSTS = {
+            HALT: 4, HLT: 4,
+            ADD: 28, SUB: 28, ADA: 28, SBA: 28, ADF: 28,
+            MUL: 59, DIV: 59, MOD: 59, MAD: 59, LMU: 59
         };
         
         // Callbacks
         this.onStateChange = null;
         this.onError = null;
         this.onHalt = null;
+        this.onFault = null; // Receives the SetunFault; falls back to onError
+        this.onWarning = null; // Non-fatal runtime warnings (self-modifying code)
+        this.onWait = null;    // Execution stopped waiting for device input
     }
     
     /**
@@ -146,32 +328,164 @@ class SetunEmulator {
     }
     
     /**
-     * Parse a program string into memory
+     * Largest magnitude representable in a word of the given trit width
      */
-    loadProgram(programText) {
-        this.reset();
+    static maxWordValue(trits) {
+        return (Math.pow(3, trits) - 1) / 2;
+    }
+    
+    /**
+     * Keep only the low trits of a value, as the hardware adder does
+     */
+    static wrapToTrits(value, trits) {
+        const max = SetunEmulator.maxWordValue(trits);
+        const modulus = 2 * max + 1;
+        return ((value + max) % modulus + modulus) % modulus - max;
+    }
+    
+    /**
+     * Fit a value into the configured word width.
+     * Returns the stored value and the overflow direction (+1, -1 or 0).
+     */
+    fitToWord(value) {
+        const max = SetunEmulator.maxWordValue(this.wordSize);
+        
+        if (value >= -max && value <= max) {
+            return { value, overflow: 0 };
+        }
         
-        if (!programText || programText.trim().length === 0) {
+        const overflow = value > max ? 1 : -1;
+        
+        if (this.overflowMode === 'saturate') {
+            return { value: overflow * max, overflow };
+        }
+        
+        return { value: SetunEmulator.wrapToTrits(value, this.wordSize), overflow };
+    }
+    
+    /**
+     * Write an arithmetic result to the accumulator, updating the overflow flag
+     */
+    setAccumulator(value) {
+        const result = this.fitToWord(value);
+        this.accumulator = result.value;
+        this.overflow = result.overflow;
+    }
+    
+    /**
+     * Write an exact BigInt result to the accumulator. Products of long words
+     * exceed double precision, so they are reduced before converting back.
+     */
+    setAccumulatorExact(value) {
+        const max = BigInt(SetunEmulator.maxWordValue(this.wordSize));
+        if (value >= -max && value <= max) {
+            this.setAccumulator(Number(value));
             return;
         }
         
-        // Split into tokens (instructions)
-        const tokens = programText.trim().split(/\s+/);
+        this.overflow = value > 0n ? 1 : -1;
+        if (this.overflowMode === 'saturate') {
+            this.accumulator = this.overflow * Number(max);
+        } else {
+            const modulus = 2n * max + 1n;
+            this.accumulator = Number(((value + max) % modulus + modulus) % modulus - max);
+        }
+    }
+    
+    /**
+     * Shift the accumulator word by whole trits: positive counts shift left,
+     * negative counts shift right. A right shift discards the low trits, which
+     * in balanced ternary rounds to nearest. A left shift discards the high
+     * trits; the overflow flag takes the sign of what was shifted out.
+     */
+    shiftAccumulator(count) {
+        const width = this.wordSize;
+        const trits = SetunEmulator.toTrits(this.accumulator, width);
+        const n = Math.min(Math.abs(count), width);
         
-        // Validate and load into memory
-        for (let i = 0; i < tokens.length && i < this.memory.length; i++) {
-            const token = tokens[i];
-            
-            if (!SetunEmulator.validateTernary(token)) {
-                throw new Error(`Invalid ternary at position ${i}: ${token}`);
+        if (count >= 0) {
+            const lost = SetunEmulator.fromTrits(trits.slice(width - n));
+            this.accumulator = SetunEmulator.fromTrits(new Array(n).fill(0).concat(trits.slice(0, width - n)));
+            this.overflow = Math.sign(lost);
+        } else {
+            this.accumulator = SetunEmulator.fromTrits(trits.slice(n));
+            this.overflow = 0;
+        }
+    }
+    
+    /**
+     * Change the word width; existing register and memory contents are refitted
+     */
+    setWordSize(trits) {
+        this.wordSize = trits;
+        this.accumulator = this.fitToWord(this.accumulator).value;
+        this.memory = this.memory.map(value => this.fitToWord(value).value);
+        this.overflow = 0;
+        
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+    
+    /**
+     * Choose how out-of-range results are handled: 'wrap' or 'saturate'
+     */
+    setOverflowMode(mode) {
+        this.overflowMode = mode === 'saturate' ? 'saturate' : 'wrap';
+    }
+    
+    /**
+     * Parse one program token into a word. In the packed format a token may
+     * give the instruction fields separately, most significant first like the
+     * word itself: "opcode:address" or "modifier:opcode:address".
+     */
+    parseToken(token) {
+        if (this.instructionFormat === 'packed' && token.includes(':')) {
+            const fields = token.split(':').map(field => SetunEmulator.fromBalancedTernary(field));
+            if (fields.length === 2) {
+                return this.encodeInstruction(fields[0], fields[1]);
             }
-            
-            try {
-                this.memory[i] = SetunEmulator.fromBalancedTernary(token);
-            } catch (e) {
-                throw new Error(`Error parsing instruction ${i}: ${e.message}`);
+            if (fields.length === 3) {
+                return this.encodeInstruction(fields[1], fields[2], fields[0]);
             }
+            throw new Error(`Expected opcode:address or modifier:opcode:address, got ${token}`);
+        }
+        return SetunEmulator.fromBalancedTernary(token);
+    }
+    
+    /**
+     * Assemble a program (symbolic or raw ternary, see SetunAssembler) into
+     * memory. Throws a SetunAssemblyError listing every error found.
+     * file names the source in the program's source map.
+     */
+    loadProgram(programText, file = null) {
+        this.loadImage(new SetunAssembler(this).assemble(programText, { file }));
+    }
+    
+    /**
+     * Load an assembled or linked program ({ words, symbols, labels,
+     * sourceMap, errors }) into memory, after a reset. Throws a
+     * SetunAssemblyError if it has errors.
+     */
+    loadImage(program) {
+        this.reset();
+        
+        if (program.errors.length > 0) {
+            throw new SetunAssemblyError(program.errors);
         }
+        program.words.forEach((word, address) => {
+            this.memory[address] = word;
+        });
+        this.symbols = new Map([...program.symbols].filter(([name]) => program.labels.has(name)));
+        this.sourceMap = program.sourceMap;
+    }
+    
+    /**
+     * Source location { file, line, column } of the word at an address of
+     * the loaded program, or null
+     */
+    getSourceLocation(address) {
+        return this.sourceMap[address] || null;
     }
     
     /**
@@ -181,10 +495,32 @@ class SetunEmulator {
         this.accumulator = 0;
         this.programCounter = 0;
         this.instructionRegister = 0;
+        this.overflow = 0;
+        this.registerF = 0;
+        this.registerS = 0;
         this.memory.fill(0);
+        this.sourceMap = [];
         this.callStack = [];
+        this.stackPointer = this.stackTop + 1;
+        this.stackFrames = [];
+        this.interruptVectorBase = this.memory.length - this.interruptLineCount;
+        this.interruptsEnabled = false;
+        this.interruptMask = SetunEmulator.maxWordValue(this.interruptLineCount);
+        this.pendingInterrupts.clear();
+        this.timerInterval = 0;
+        this.timerCounter = 0;
+        this.trapVector = 0;
+        this.lastFault = null;
+        this.executedAddresses.clear();
         this.running = false;
         this.instructionCount = 0;
+        this.cycleCount = 0;
+        this.lastInstructionCycles = 0;
+        if (this.drum) {
+            this.drum.resetHead();
+        }
+        this.devices.forEach(device => device.reset && device.reset());
+        this.waitingForDevice = null;
         this.hitBreakpoint = false;
         this.clearHistory();
         this.memoryAccessCounts.fill(0); // Reset heatmap
@@ -196,228 +532,1271 @@ class SetunEmulator {
     }
     
     /**
-     * Decode instruction into opcode and operand
+     * Split a value into balanced trits, least significant first
+     */
+    static toTrits(value, count) {
+        const trits = [];
+        for (let i = 0; i < count; i++) {
+            let trit = ((value % 3) + 3) % 3;
+            if (trit === 2) trit = -1;
+            trits.push(trit);
+            value = (value - trit) / 3;
+        }
+        return trits;
+    }
+    
+    /**
+     * Combine balanced trits (least significant first) into a value
+     */
+    static fromTrits(trits) {
+        return trits.reduceRight((value, trit) => value * 3 + trit, 0);
+    }
+    
+    /**
+     * Apply a trit operation to each pair of trits of two values
+     */
+    static tritwise(a, b, trits, fn) {
+        const tritsA = SetunEmulator.toTrits(a, trits);
+        const tritsB = SetunEmulator.toTrits(b, trits);
+        return SetunEmulator.fromTrits(tritsA.map((trit, i) => fn(trit, tritsB[i])));
+    }
+    
+    /**
+     * Rotate the trits of a word: positive counts rotate towards the most
+     * significant end, negative counts towards the least significant end
+     */
+    static rotateTrits(value, count, trits) {
+        const digits = SetunEmulator.toTrits(value, trits);
+        const shift = ((count % trits) + trits) % trits;
+        const rotated = digits.slice(trits - shift).concat(digits.slice(0, trits - shift));
+        return SetunEmulator.fromTrits(rotated);
+    }
+    
+    /**
+     * Divide, rounding the quotient to the nearest integer (ties toward zero),
+     * so the remainder is the balanced one: |remainder| <= |divisor| / 2
+     */
+    static balancedDivide(dividend, divisor) {
+        let quotient = Math.trunc(dividend / divisor);
+        const remainder = dividend - quotient * divisor;
+        if (2 * Math.abs(remainder) > Math.abs(divisor)) {
+            quotient += Math.sign(dividend) * Math.sign(divisor);
+        }
+        return { quotient, remainder: dividend - quotient * divisor };
+    }
+    
+    /**
+     * Number of trits used by a packed instruction
+     */
+    getInstructionWidth() {
+        const layout = this.instructionLayout;
+        return layout.address + layout.opcode + layout.modifier;
+    }
+    
+    /**
+     * Select the instruction format: 'simple' (opcode cell followed by an
+     * operand cell) or 'packed' (opcode, modifier and address in one word)
+     */
+    setInstructionFormat(format) {
+        if (this.profile === 'historical' && format !== 'packed') {
+            throw new Error('The historical profile always uses packed 9-trit instructions');
+        }
+        if (format === 'packed' && this.getInstructionWidth() > this.wordSize) {
+            throw new Error(`Packed instructions need a word of at least ${this.getInstructionWidth()} trits`);
+        }
+        this.instructionFormat = format === 'packed' ? 'packed' : 'simple';
+        
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+    
+    /**
+     * Select the machine profile. The historical profile uses the 9-trit Setun
+     * instruction (5-trit address, 3-trit opcode, modifier trit) and the F and S registers.
+     */
+    setProfile(profile) {
+        if (profile === 'historical') {
+            this.profile = 'historical';
+            this.instructionLayout = { address: 5, opcode: 3, modifier: 1 };
+            this.instructionFormat = 'packed';
+        } else {
+            this.profile = 'standard';
+            this.instructionLayout = { address: 5, opcode: 4, modifier: 1 };
+            if (this.getInstructionWidth() > this.wordSize) {
+                this.instructionFormat = 'simple';
+            }
+        }
+        this.registerF = 0;
+        this.registerS = 0;
+        
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+    
+    /**
+     * Opcode table of the active profile
+     */
+    getOpcodeTable() {
+        return this.profile === 'historical' ? this.HISTORICAL_OPCODES : this.OPCODES;
+    }
+    
+    /**
+     * Pack opcode, address and modifier fields into one instruction word
+     */
+    encodeInstruction(opcode, address = 0, modifier = 0) {
+        const layout = this.instructionLayout;
+        const fields = [
+            ['address', address, layout.address],
+            ['opcode', opcode, layout.opcode],
+            ['modifier', modifier, layout.modifier]
+        ];
+        
+        for (const [name, value, width] of fields) {
+            if (Math.abs(value) > SetunEmulator.maxWordValue(width)) {
+                throw new Error(`${name} ${value} does not fit in a ${width}-trit field`);
+            }
+        }
+        
+        return address +
+            opcode * Math.pow(3, layout.address) +
+            modifier * Math.pow(3, layout.address + layout.opcode);
+    }
+    
+    /**
+     * Decode instruction into opcode, operand and modifier fields
      */
     decodeInstruction(instruction) {
-        // Simple encoding: instruction encodes both opcode and operand
-        // For simplicity, we'll use the instruction value directly as opcode
-        // In a real implementation, you'd split bits/trits
+        if (this.instructionFormat === 'simple') {
+            // Simple encoding: the word is the opcode, the operand sits in the next cell
+            return {
+                opcode: instruction,
+                operand: null,
+                modifier: 0
+            };
+        }
+        
+        // Packed encoding, least significant trits first: address | opcode | modifier
+        const layout = this.instructionLayout;
+        const trits = SetunEmulator.toTrits(instruction, this.getInstructionWidth());
         return {
-            opcode: instruction,
-            operand: null
+            operand: SetunEmulator.fromTrits(trits.slice(0, layout.address)),
+            opcode: SetunEmulator.fromTrits(trits.slice(layout.address, layout.address + layout.opcode)),
+            modifier: SetunEmulator.fromTrits(trits.slice(layout.address + layout.opcode))
         };
     }
     
     /**
-     * Execute an instruction based on opcode
+     * Check whether an opcode takes an operand
+     */
+    hasOperand(opcode) {
+        if (this.profile === 'historical') {
+            return opcode !== this.HISTORICAL_OPCODES.HLT;
+        }
+        return this.OPERAND_OPCODES.has(opcode);
+    }
+    
+    /**
+     * Fetch the operand of the current instruction.
+     * Simple format: read the next memory cell (advancing PC onto it).
+     * Packed format: apply the modifier trit to the address field -
+     * 0 direct, + indirect through memory, - relative to the instruction.
+     */
+    fetchOperand(operand, modifier = 0) {
+        if (this.instructionFormat === 'simple') {
+            this.programCounter++;
+            if (this.checkAddress(this.programCounter)) {
+                this.stepMemoryAccesses++;
+                return this.memory[this.programCounter];
+            }
+            return null;
+        }
+        
+        switch (modifier) {
+            case 1: {
+                const addr = this.wrapAddress(operand);
+                if (!this.checkAddress(addr)) {
+                    return null;
+                }
+                this.stepMemoryAccesses++;
+                return this.memory[addr];
+            }
+            case -1:
+                return this.programCounter + operand;
+            default:
+                return operand;
+        }
+    }
+    
+    /**
+     * Fetch an operand that names a memory address
+     */
+    fetchAddress(operand, modifier = 0) {
+        const value = this.fetchOperand(operand, modifier);
+        return value === null ? null : this.wrapAddress(value);
+    }
+    
+    /**
+     * In the packed format negative addresses count back from the top of
+     * memory, so a 5-trit field reaches every cell of a 243-word store
+     */
+    wrapAddress(addr) {
+        if (this.instructionFormat === 'packed' && addr < 0) {
+            return addr + this.memory.length;
+        }
+        return addr;
+    }
+    
+    /**
+     * Write a word to memory, honouring memory protection
+     */
+    writeMemory(addr, value) {
+        if (!this.checkAddress(addr)) {
+            return;
+        }
+        if (!this.canWriteToMemory(addr)) {
+            throw new SetunFault('protected-write', `Cannot write to protected memory address ${addr}`);
+        }
+        this.stepMemoryAccesses++;
+        const device = this.findMappedDevice(addr);
+        if (device) {
+            device.write(addr - device.addresses[0], value, 'memory');
+            return;
+        }
+        if (this.warnOnSelfModify && this.executedAddresses.has(addr) && this.onWarning) {
+            this.onWarning(`Self-modifying code: write to executed address ${addr} by instruction at ${this.currentInstructionAddress}`);
+        }
+        this.memory[addr] = value;
+        if (this.heatmapEnabled) {
+            this.memoryAccessCounts[addr]++;
+        }
+    }
+    
+    /**
+     * Read a word from memory; addresses outside memory read as zero
+     */
+    readMemory(addr) {
+        if (!this.checkAddress(addr)) {
+            return 0;
+        }
+        if (!this.hasPermission(addr, 'r')) {
+            throw new SetunFault('read-violation', `Read from non-readable address ${addr}`);
+        }
+        this.stepMemoryAccesses++;
+        if (this.heatmapEnabled) {
+            this.memoryAccessCounts[addr]++;
+        }
+        const device = this.findMappedDevice(addr);
+        if (device) {
+            return this.fitToWord(device.read(addr - device.addresses[0], 'memory') || 0).value;
+        }
+        return this.memory[addr];
+    }
+    
+    /**
+     * Execute an instruction based on opcode
+     */
+    executeInstruction(opcode, operand, modifier = 0) {
+        if (this.profile === 'historical') {
+            return this.executeHistoricalInstruction(opcode, operand, modifier);
+        }
+        
+        switch (opcode) {
+            case this.OPCODES.HALT:
+                this.running = false;
+                if (this.onHalt) {
+                    this.onHalt('Halt instruction (0) encountered');
+                }
+                return false;
+                
+            case this.OPCODES.ADD: {
+                // Add operand to accumulator
+                const value = this.fetchOperand(operand, modifier);
+                if (value !== null) {
+                    this.setAccumulator(this.accumulator + value);
+                }
+                break;
+            }
+                
+            case this.OPCODES.SUB: {
+                // Subtract operand from accumulator
+                const value = this.fetchOperand(operand, modifier);
+                if (value !== null) {
+                    this.setAccumulator(this.accumulator - value);
+                }
+                break;
+            }
+                
+            case this.OPCODES.LOAD: {
+                // Load from memory address
+                const addr = this.fetchAddress(operand, modifier);
+                if (addr !== null && this.checkAddress(addr)) {
+                    this.setAccumulator(this.readMemory(addr));
+                }
+                break;
+            }
+                
+            case this.OPCODES.STORE: {
+                // Store to memory address
+                const addr = this.fetchAddress(operand, modifier);
+                if (addr !== null && this.checkAddress(addr)) {
+                    this.writeMemory(addr, this.accumulator);
+                }
+                break;
+            }
+                
+            case this.OPCODES.JMP: {
+                // Unconditional jump
+                const addr = this.fetchAddress(operand, modifier);
+                if (addr !== null && this.checkAddress(addr)) {
+                    this.programCounter = addr - 1; // -1 because we increment at end
+                }
+                break;
+            }
+                
+            case this.OPCODES.JZ: {
+                // Jump if accumulator is zero
+                const addr = this.fetchAddress(operand, modifier);
+                if (this.accumulator === 0 && addr !== null && this.checkAddress(addr)) {
+                    this.programCounter = addr - 1;
+                }
+                break;
+            }
+                
+            case this.OPCODES.JNZ: {
+                // Jump if accumulator is not zero
+                const addr = this.fetchAddress(operand, modifier);
+                if (this.accumulator !== 0 && addr !== null && this.checkAddress(addr)) {
+                    this.programCounter = addr - 1;
+                }
+                break;
+            }
+                
+            case this.OPCODES.JNP: {
+                // Jump if accumulator is positive
+                const addr = this.fetchAddress(operand, modifier);
+                if (this.accumulator > 0 && addr !== null && this.checkAddress(addr)) {
+                    this.programCounter = addr - 1;
+                }
+                break;
+            }
+                
+            case this.OPCODES.SHL:
+                // Shift left one trit (multiply by 3, dropping the top trit)
+                this.shiftAccumulator(1);
+                break;
+                
+            case this.OPCODES.SHR:
+                // Shift right one trit (divide by 3, rounded to nearest)
+                this.shiftAccumulator(-1);
+                break;
+                
+            case this.OPCODES.CALL: {
+                // Call subroutine
+                if (this.stackMode === 'internal' && this.callStack.length >= this.maxCallDepth) {
+                    return this.stackOverflow('Call stack overflow');
+                }
+                const addr = this.fetchAddress(operand, modifier);
+                if (addr !== null) {
+                    // Save return address
+                    if (this.stackMode === 'memory') {
+                        if (!this.pushStack(this.programCounter + 1)) {
+                            return this.stackOverflow();
+                        }
+                        this.stackFrames.push({ type: 'call', address: this.stackPointer });
+                    } else {
+                        this.callStack.push(this.programCounter + 1);
+                    }
+                    if (this.checkAddress(addr)) {
+                        this.programCounter = addr - 1;
+                    }
+                }
+                break;
+            }
+                
+            case this.OPCODES.RET:
+                // Return from subroutine
+                if (this.stackMode === 'memory') {
+                    return this.returnFromMemoryStack();
+                }
+                if (this.callStack.length === 0) {
+                    this.running = false;
+                    if (this.onHalt) {
+                        this.onHalt('Return with empty call stack');
+                    }
+                    return false;
+                }
+                if (typeof this.callStack[this.callStack.length - 1] !== 'number') {
+                    this.running = false;
+                    if (this.onError) {
+                        this.onError('RET inside interrupt handler (use IRET)');
+                    }
+                    return false;
+                }
+                this.programCounter = this.callStack.pop() - 1;
+                break;
+                
+            case this.OPCODES.NEG:
+                // Negate accumulator (the balanced range is symmetric, so this never overflows)
+                this.setAccumulator(-this.accumulator);
+                break;
+                
+            case this.OPCODES.INC:
+                // Increment accumulator
+                this.setAccumulator(this.accumulator + 1);
+                break;
+                
+            case this.OPCODES.DEC:
+                // Decrement accumulator
+                this.setAccumulator(this.accumulator - 1);
+                break;
+                
+            case this.OPCODES.LOADI: {
+                // Load indirect - operand is the address of a pointer
+                const pointerAddr = this.fetchAddress(operand, modifier);
+                if (pointerAddr !== null && this.checkAddress(pointerAddr)) {
+                    const actualAddr = this.wrapAddress(this.readMemory(pointerAddr));
+                    if (this.checkAddress(actualAddr)) {
+                        this.setAccumulator(this.readMemory(actualAddr));
+                    }
+                }
+                break;
+            }
+                
+            case this.OPCODES.STOREI: {
+                // Store indirect - operand is the address of a pointer
+                const pointerAddr = this.fetchAddress(operand, modifier);
+                if (pointerAddr !== null && this.checkAddress(pointerAddr)) {
+                    const actualAddr = this.wrapAddress(this.readMemory(pointerAddr));
+                    if (this.checkAddress(actualAddr)) {
+                        this.writeMemory(actualAddr, this.accumulator);
+                    }
+                }
+                break;
+            }
+                
+            case this.OPCODES.JOV: {
+                // Jump if the last arithmetic result overflowed the word
+                const addr = this.fetchAddress(operand, modifier);
+                if (this.overflow !== 0 && addr !== null && this.checkAddress(addr)) {
+                    this.programCounter = addr - 1;
+                }
+                break;
+            }
+                
+            case this.OPCODES.AND: {
+                // Ternary AND: trit-wise minimum
+                const mask = this.fetchOperand(operand, modifier);
+                if (mask !== null) {
+                    this.setAccumulator(SetunEmulator.tritwise(this.accumulator, mask, this.wordSize, Math.min));
+                }
+                break;
+            }
+                
+            case this.OPCODES.OR: {
+                // Ternary OR: trit-wise maximum
+                const mask = this.fetchOperand(operand, modifier);
+                if (mask !== null) {
+                    this.setAccumulator(SetunEmulator.tritwise(this.accumulator, mask, this.wordSize, Math.max));
+                }
+                break;
+            }
+                
+            case this.OPCODES.CONS: {
+                // Consensus: keep trits where both agree, zero elsewhere
+                const mask = this.fetchOperand(operand, modifier);
+                if (mask !== null) {
+                    this.setAccumulator(SetunEmulator.tritwise(this.accumulator, mask, this.wordSize,
+                        (a, b) => (a === b ? a : 0)));
+                }
+                break;
+            }
+                
+            case this.OPCODES.TMUL: {
+                // Trit-wise multiply: + keeps a trit, - inverts it, 0 clears it
+                const mask = this.fetchOperand(operand, modifier);
+                if (mask !== null) {
+                    this.setAccumulator(SetunEmulator.tritwise(this.accumulator, mask, this.wordSize,
+                        (a, b) => a * b));
+                }
+                break;
+            }
+                
+            case this.OPCODES.INV:
+                // Invert every trit (in balanced ternary this is also the negation)
+                this.setAccumulator(SetunEmulator.tritwise(this.accumulator, 0, this.wordSize, a => -a));
+                break;
+                
+            case this.OPCODES.ROT: {
+                // Rotate the accumulator word by operand trits
+                const count = this.fetchOperand(operand, modifier);
+                if (count !== null) {
+                    this.setAccumulator(SetunEmulator.rotateTrits(this.accumulator, count, this.wordSize));
+                }
+                break;
+            }
+                
+            case this.OPCODES.MUL: {
+                // Multiply accumulator by operand
+                const value = this.fetchOperand(operand, modifier);
+                if (value !== null) {
+                    this.setAccumulatorExact(BigInt(this.accumulator) * BigInt(value));
+                }
+                break;
+            }
+                
+            case this.OPCODES.DIV:
+            case this.OPCODES.MOD: {
+                // Balanced division: quotient rounded to nearest, remainder in [-|d|/2, |d|/2]
+                const divisor = this.fetchOperand(operand, modifier);
+                if (divisor === null) {
+                    break;
+                }
+                if (divisor === 0) {
+                    // Stop at the DIV itself, not at its operand cell
+                    this.running = false;
+                    this.programCounter = this.currentInstructionAddress;
+                    if (this.onError) {
+                        this.onError(`Division by zero at address ${this.currentInstructionAddress}`);
+                    }
+                    return false;
+                }
+                const { quotient, remainder } = SetunEmulator.balancedDivide(this.accumulator, divisor);
+                this.setAccumulator(opcode === this.OPCODES.DIV ? quotient : remainder);
+                break;
+            }
+                
+            case this.OPCODES.EI:
+                this.interruptsEnabled = true;
+                break;
+                
+            case this.OPCODES.DI:
+                this.interruptsEnabled = false;
+                break;
+                
+            case this.OPCODES.IRET: {
+                // Return from interrupt, restoring PC, accumulator and flags
+                if (this.stackMode === 'memory') {
+                    return this.returnFromMemoryInterrupt();
+                }
+                const frame = this.callStack[this.callStack.length - 1];
+                if (!frame || typeof frame === 'number') {
+                    this.running = false;
+                    if (this.onError) {
+                        this.onError('IRET outside interrupt handler');
+                    }
+                    return false;
+                }
+                this.callStack.pop();
+                this.accumulator = frame.accumulator;
+                this.overflow = frame.overflow;
+                this.interruptsEnabled = frame.interruptsEnabled;
+                this.programCounter = frame.returnAddress - 1;
+                break;
+            }
+                
+            case this.OPCODES.IMSK: {
+                const mask = this.fetchOperand(operand, modifier);
+                if (mask !== null) {
+                    this.interruptMask = mask;
+                }
+                break;
+            }
+                
+            case this.OPCODES.TIMER: {
+                const interval = this.fetchOperand(operand, modifier);
+                if (interval !== null) {
+                    this.timerInterval = Math.max(0, interval);
+                    this.timerCounter = 0;
+                }
+                break;
+            }
+                
+            case this.OPCODES.INT: {
+                const line = this.fetchOperand(operand, modifier);
+                if (line !== null) {
+                    this.raiseInterrupt(line);
+                }
+                break;
+            }
+                
+            case this.OPCODES.IVB: {
+                const base = this.fetchAddress(operand, modifier);
+                if (base !== null) {
+                    this.interruptVectorBase = base;
+                }
+                break;
+            }
+                
+            case this.OPCODES.TVEC: {
+                const handler = this.fetchAddress(operand, modifier);
+                if (handler !== null) {
+                    this.trapVector = handler;
+                }
+                break;
+            }
+                
+            case this.OPCODES.DRD:
+            case this.OPCODES.DWR: {
+                const page = this.fetchOperand(operand, modifier);
+                if (page !== null) {
+                    return this.transferDrumPage(page, opcode === this.OPCODES.DRD);
+                }
+                break;
+            }
+                
+            case this.OPCODES.IN: {
+                const port = this.fetchOperand(operand, modifier);
+                if (port !== null) {
+                    const device = this.findPortDevice(port);
+                    const value = device ? device.read(port, 'port') : 0;
+                    if (value === null) {
+                        return this.waitForDevice(device);
+                    }
+                    this.setAccumulator(value || 0);
+                }
+                break;
+            }
+                
+            case this.OPCODES.OUT: {
+                const port = this.fetchOperand(operand, modifier);
+                if (port !== null) {
+                    const device = this.findPortDevice(port);
+                    if (device) {
+                        device.write(port, this.accumulator, 'port');
+                    }
+                }
+                break;
+            }
+                
+            case this.OPCODES.PUSH:
+                if (!this.pushStack(this.accumulator)) {
+                    return this.stackOverflow();
+                }
+                break;
+                
+            case this.OPCODES.POP:
+                if (this.stackPointer > this.stackTop) {
+                    return this.stackUnderflow();
+                }
+                this.accumulator = this.popStack();
+                this.overflow = 0;
+                break;
+                
+            case this.OPCODES.LOADS: {
+                // Load relative to the stack pointer (0 = top of stack)
+                const offset = this.fetchOperand(operand, modifier);
+                if (offset !== null) {
+                    this.setAccumulator(this.readMemory(this.stackPointer + offset));
+                }
+                break;
+            }
+                
+            case this.OPCODES.STORES: {
+                // Store relative to the stack pointer (0 = top of stack)
+                const offset = this.fetchOperand(operand, modifier);
+                if (offset !== null) {
+                    this.writeMemory(this.stackPointer + offset, this.accumulator);
+                }
+                break;
+            }
+                
+            default:
+                // Unknown opcode - treat as NOP (no operation), or trap in strict mode
+                if (this.strictMode) {
+                    throw new SetunFault('illegal-instruction', `Illegal instruction: opcode ${opcode} is not defined`);
+                }
+                break;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Execute an instruction of the historical Setun profile. Every instruction
+     * works on the effective address A*: the address field, plus or minus F
+     * when the modifier trit is + or -.
+     */
+    executeHistoricalInstruction(opcode, operand, modifier) {
+        const ops = this.HISTORICAL_OPCODES;
+        const addr = this.wrapAddress(operand + modifier * this.registerF);
+        
+        switch (opcode) {
+            case ops.HLT:
+                this.running = false;
+                if (this.onHalt) {
+                    this.onHalt('Halt instruction (000) encountered');
+                }
+                return false;
+                
+            case ops.LDA:
+                this.setAccumulator(this.readMemory(addr));
+                break;
+                
+            case ops.ADA:
+                this.setAccumulator(this.accumulator + this.readMemory(addr));
+                break;
+                
+            case ops.SBA:
+                this.setAccumulator(this.accumulator - this.readMemory(addr));
+                break;
+                
+            case ops.LDS:
+                this.registerS = this.readMemory(addr);
+                break;
+                
+            case ops.MAD:
+                this.setAccumulatorExact(BigInt(this.accumulator) + BigInt(this.readMemory(addr)) * BigInt(this.registerS));
+                break;
+                
+            case ops.MUL: {
+                // Double-length product: high word to ACC, low word to S.
+                // BigInt keeps the 36-trit product exact.
+                const product = BigInt(this.readMemory(addr)) * BigInt(this.registerS);
+                const modulus = BigInt(Math.pow(3, this.wordSize));
+                const half = (modulus - 1n) / 2n;
+                const low = ((product + half) % modulus + modulus) % modulus - half;
+                this.registerS = Number(low);
+                this.setAccumulator(Number((product - low) / modulus));
+                break;
+            }
+                
+            case ops.LMU:
+                this.setAccumulator(SetunEmulator.tritwise(
+                    this.readMemory(addr), this.accumulator, this.wordSize, (a, b) => a * b));
+                break;
+                
+            case ops.SHF:
+                this.shiftAccumulator(this.readMemory(addr));
+                break;
+                
+            case ops.NRM: {
+                // Shift left until the most significant trit is non-zero
+                let count = 0;
+                if (this.accumulator !== 0) {
+                    const limit = SetunEmulator.maxWordValue(this.wordSize - 1);
+                    while (Math.abs(this.accumulator) <= limit) {
+                        this.accumulator *= 3;
+                        count++;
+                    }
+                }
+                this.overflow = 0;
+                this.writeMemory(addr, count);
+                break;
+            }
+                
+            case ops.STA:
+                this.writeMemory(addr, this.accumulator);
+                break;
+                
+            case ops.STS:
+                this.writeMemory(addr, this.registerS);
+                break;
+                
+            case ops.LDF:
+                this.registerF = SetunEmulator.wrapToTrits(this.readMemory(addr), 5);
+                break;
+                
+            case ops.STF:
+                this.writeMemory(addr, this.registerF);
+                break;
+                
+            case ops.ADF:
+                this.registerF = SetunEmulator.wrapToTrits(this.registerF + this.readMemory(addr), 5);
+                break;
+                
+            case ops.JMP:
+                this.programCounter = addr - 1; // -1 because we increment at end
+                break;
+                
+            case ops.JPS:
+                if (this.accumulator > 0) {
+                    this.programCounter = addr - 1;
+                }
+                break;
+                
+            case ops.JZS:
+                if (this.accumulator === 0) {
+                    this.programCounter = addr - 1;
+                }
+                break;
+                
+            case ops.JNS:
+                if (this.accumulator < 0) {
+                    this.programCounter = addr - 1;
+                }
+                break;
+                
+            case ops.JMF:
+                this.registerF = SetunEmulator.wrapToTrits(this.programCounter + 1, 5);
+                this.programCounter = addr - 1;
+                break;
+                
+            default:
+                // Unused opcode - treat as NOP (no operation), or trap in strict mode
+                if (this.strictMode) {
+                    throw new SetunFault('illegal-instruction', `Illegal instruction: opcode ${opcode} is not defined`);
+                }
+                break;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Choose where CALL/RET and interrupts keep their frames:
+     * 'internal' (hidden call stack) or 'memory' (the emulated stack)
+     */
+    setStackMode(mode) {
+        this.stackMode = mode === 'memory' ? 'memory' : 'internal';
+        this.callStack = [];
+        this.stackFrames = [];
+        this.stackPointer = this.stackTop + 1;
+        
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+    
+    /**
+     * Set the stack region; the stack grows down from end towards start
+     */
+    setStackRegion(start, end) {
+        if (start < 0 || end >= this.memory.length || start > end) {
+            throw new Error(`Stack region must lie within 0-${this.memory.length - 1}, with start <= end`);
+        }
+        this.stackLimit = start;
+        this.stackTop = end;
+        this.stackPointer = end + 1;
+        this.stackFrames = [];
+        
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+    
+    /**
+     * Push a word onto the memory stack. Returns false on stack overflow.
+     */
+    pushStack(value) {
+        if (this.stackPointer - 1 < this.stackLimit) {
+            return false;
+        }
+        this.stackPointer--;
+        this.writeMemory(this.stackPointer, value);
+        return true;
+    }
+    
+    /**
+     * Pop a word from the memory stack, forgetting frames that were popped
+     */
+    popStack() {
+        const value = this.readMemory(this.stackPointer);
+        this.stackPointer++;
+        this.stackFrames = this.stackFrames.filter(frame => frame.address >= this.stackPointer);
+        return value;
+    }
+    
+    stackOverflow(message = `Stack overflow: SP would leave the stack region ${this.stackLimit}-${this.stackTop}`) {
+        if (this.strictMode) {
+            throw new SetunFault('stack-overflow', message);
+        }
+        this.running = false;
+        if (this.onError) {
+            this.onError(message);
+        }
+        return false;
+    }
+    
+    stackUnderflow() {
+        this.running = false;
+        if (this.onError) {
+            this.onError('Stack underflow: pop from an empty stack');
+        }
+        return false;
+    }
+    
+    /**
+     * RET in memory stack mode: pop the return address from memory
+     */
+    returnFromMemoryStack() {
+        if (this.stackPointer > this.stackTop) {
+            this.running = false;
+            if (this.onHalt) {
+                this.onHalt('Return with empty call stack');
+            }
+            return false;
+        }
+        const top = this.stackFrames[this.stackFrames.length - 1];
+        if (top && top.type !== 'call' && top.address === this.stackPointer) {
+            this.running = false;
+            if (this.onError) {
+                this.onError('RET inside interrupt handler (use IRET)');
+            }
+            return false;
+        }
+        this.programCounter = this.popStack() - 1;
+        return true;
+    }
+    
+    /**
+     * IRET in memory stack mode: pop status, accumulator and return address
+     */
+    returnFromMemoryInterrupt() {
+        const top = this.stackFrames[this.stackFrames.length - 1];
+        if (!top || top.type === 'call' || top.address !== this.stackPointer ||
+            SetunEmulator.toTrits(this.memory[top.address], 3)[2] === 0) {
+            this.running = false;
+            if (this.onError) {
+                this.onError('IRET outside interrupt handler');
+            }
+            return false;
+        }
+        const status = SetunEmulator.toTrits(this.popStack(), 2);
+        this.overflow = status[0];
+        this.interruptsEnabled = status[1] === 1;
+        this.accumulator = this.popStack();
+        this.programCounter = this.popStack() - 1;
+        return true;
+    }
+    
+    /**
+     * Call frames for display. In memory stack mode they are read back from
+     * emulated memory, so a program that overwrites its stack shows it here:
+     * an interrupt or trap frame's type and source come from its status word.
+     */
+    getCallFrames() {
+        if (this.stackMode === 'internal') {
+            return [...this.callStack];
+        }
+        return this.stackFrames.map(({ type, address }) => {
+            if (type === 'call') {
+                return { type: 'call', address, returnAddress: this.memory[address] };
+            }
+            const word = this.memory[address];
+            const status = SetunEmulator.toTrits(word, 3);
+            const source = (word - SetunEmulator.fromTrits(status)) / 27;
+            const frame = {
+                address,
+                overflow: status[0],
+                accumulator: this.memory[address + 1],
+                returnAddress: this.memory[address + 2]
+            };
+            if (status[2] === -1) {
+                const fault = Object.keys(SetunFault.CODES).find(name => SetunFault.CODES[name] === source);
+                return { type: 'trap', fault: fault || null, ...frame };
+            }
+            return { type: 'interrupt', line: source, ...frame };
+        });
+    }
+    
+    /**
+     * Attach a device to the I/O bus. Its address range and ports must not
+     * overlap those of a device already attached.
+     */
+    attachDevice(device) {
+        if (this.devices.some(other => other.name === device.name)) {
+            throw new Error(`A device named "${device.name}" is already attached`);
+        }
+        const range = device.addresses;
+        if (range && (range[0] < 0 || range[1] >= this.memory.length || range[0] > range[1])) {
+            throw new Error(`Device "${device.name}" range ${range[0]}-${range[1]} is outside memory`);
+        }
+        for (const other of this.devices) {
+            if (range && other.addresses && range[0] <= other.addresses[1] && other.addresses[0] <= range[1]) {
+                throw new Error(`Device "${device.name}" overlaps the address range of "${other.name}"`);
+            }
+            const port = (device.ports || []).find(p => (other.ports || []).includes(p));
+            if (port !== undefined) {
+                throw new Error(`Port ${port} is already claimed by "${other.name}"`);
+            }
+        }
+        
+        this.devices.push(device);
+        if (device.attach) {
+            device.attach(this);
+        }
+    }
+    
+    detachDevice(name) {
+        this.devices = this.devices.filter(device => device.name !== name);
+    }
+    
+    getDevice(name) {
+        return this.devices.find(device => device.name === name) || null;
+    }
+    
+    /**
+     * Device whose memory-mapped range contains an address, if any
+     */
+    findMappedDevice(addr) {
+        if (this.devices.length === 0) {
+            return null;
+        }
+        return this.devices.find(device =>
+            device.addresses && addr >= device.addresses[0] && addr <= device.addresses[1]) || null;
+    }
+    
+    /**
+     * Device that claims a port. Unclaimed ports read as zero and ignore
+     * writes, or fault in strict mode.
+     */
+    findPortDevice(port) {
+        const device = this.devices.find(d => (d.ports || []).includes(port));
+        if (!device && this.strictMode) {
+            throw new SetunFault('address-range', `No device on port ${port}`);
+        }
+        return device || null;
+    }
+    
+    /**
+     * Stop before an IN whose device has nothing to read (it returned null).
+     * The PC stays on the IN, so running again retries it once the device
+     * has data; onWait lets the caller resume instead of treating it as a halt.
+     */
+    waitForDevice(device) {
+        this.programCounter = this.currentInstructionAddress;
+        this.waitingForDevice = device;
+        this.running = false;
+        if (this.onWait) {
+            this.onWait(device);
+        }
+        return false;
+    }
+    
+    /**
+     * State of every device that keeps any, keyed by device name
+     */
+    snapshotDevices() {
+        const snapshots = {};
+        for (const device of this.devices) {
+            const state = device.snapshot ? device.snapshot() : null;
+            if (state !== null && state !== undefined) {
+                snapshots[device.name] = state;
+            }
+        }
+        return snapshots;
+    }
+    
+    restoreDevices(snapshots) {
+        for (const device of this.devices) {
+            if (snapshots && snapshots[device.name] !== undefined && device.restore) {
+                device.restore(snapshots[device.name]);
+            }
+        }
+    }
+    
+    /**
+     * Move one drum page to (read) or from (write) main memory starting at
+     * the address in ACC, waiting for the page to rotate under the head
+     */
+    transferDrumPage(page, read) {
+        if (!this.drum) {
+            this.running = false;
+            if (this.onError) {
+                this.onError('No magnetic drum attached');
+            }
+            return false;
+        }
+        if (!this.drum.isValidPage(page)) {
+            if (this.strictMode) {
+                throw new SetunFault('address-range', `Drum page ${page} is outside the drum (0-${this.drum.pageCount - 1})`);
+            }
+            return true;
+        }
+        
+        this.stepDeviceCycles += this.drum.getLatency(page, this.cycleCount);
+        const base = this.accumulator;
+        if (read) {
+            this.drum.readPage(page).forEach((word, i) => this.writeMemory(base + i, word));
+        } else {
+            const words = [];
+            for (let i = 0; i < this.drum.pageSize; i++) {
+                words.push(this.readMemory(base + i));
+            }
+            this.drum.writePage(page, words);
+        }
+        return true;
+    }
+    
+    /**
+     * Request an interrupt on a line. Used by the timer, the INT instruction
+     * and devices; the interrupt is taken before the next instruction when
+     * interrupts are enabled and the line is unmasked.
+     */
+    raiseInterrupt(line) {
+        if (line >= 0 && line < this.interruptLineCount) {
+            this.pendingInterrupts.add(line);
+        }
+    }
+    
+    /**
+     * Check whether an interrupt line is enabled by the mask
+     */
+    isInterruptLineEnabled(line) {
+        return SetunEmulator.toTrits(this.interruptMask, this.interruptLineCount)[line] === 1;
+    }
+    
+    /**
+     * Take the highest-priority (lowest numbered) pending interrupt, if any:
+     * save PC, accumulator and flags in an interrupt frame, disable further
+     * interrupts and jump through the vector table
+     */
+    dispatchInterrupt() {
+        if (!this.interruptsEnabled || this.pendingInterrupts.size === 0) {
+            return false;
+        }
+        
+        const line = [...this.pendingInterrupts].sort((a, b) => a - b)
+            .find(l => this.isInterruptLineEnabled(l));
+        if (line === undefined) {
+            return false;
+        }
+        
+        // No room for the frame: leave the interrupt pending
+        if (!this.hasRoomForInterruptFrame()) {
+            return false;
+        }
+        this.pendingInterrupts.delete(line);
+        
+        const vectorAddr = this.interruptVectorBase + line;
+        const handler = vectorAddr >= 0 && vectorAddr < this.memory.length ? this.memory[vectorAddr] : 0;
+        if (handler <= 0 || handler >= this.memory.length) {
+            return false; // No handler installed - the interrupt is dropped
+        }
+        
+        try {
+            this.pushInterruptFrame({ type: 'interrupt', line }, this.programCounter);
+        } catch (e) {
+            // The frame could not be written: leave the interrupt pending
+            this.pendingInterrupts.add(line);
+            throw e;
+        }
+        this.programCounter = handler;
+        return true;
+    }
+    
+    /**
+     * Check whether an interrupt or trap frame fits on the active stack
+     */
+    hasRoomForInterruptFrame() {
+        if (this.stackMode === 'memory') {
+            return this.stackPointer - 3 >= this.stackLimit;
+        }
+        return this.callStack.length < this.maxCallDepth;
+    }
+    
+    /**
+     * Save PC, accumulator and flags for IRET and disable interrupts.
+     * frame carries the type ('interrupt' or 'trap') and its source.
+     */
+    pushInterruptFrame(frame, returnAddress) {
+        if (this.stackMode === 'memory') {
+            // Frame in memory: return address, accumulator, then a status word
+            // holding the overflow flag (trit 0), interrupt enable (trit 1),
+            // the frame type (trit 2: + interrupt, - trap) and, from trit 3,
+            // the interrupt line or fault code
+            const trap = frame.type === 'trap';
+            const source = trap ? SetunFault.CODES[frame.fault] : frame.line;
+            this.pushStack(returnAddress);
+            this.pushStack(this.accumulator);
+            this.pushStack(this.overflow + (this.interruptsEnabled ? 3 : 0) + (trap ? -9 : 9) + 27 * source);
+            this.stackFrames.push({ type: 'handler', address: this.stackPointer });
+        } else {
+            this.callStack.push({
+                ...frame,
+                returnAddress,
+                accumulator: this.accumulator,
+                overflow: this.overflow,
+                interruptsEnabled: this.interruptsEnabled
+            });
+        }
+        this.interruptsEnabled = false;
+    }
+    
+    /**
+     * Handle a fault raised in strict mode. With a trap vector installed the
+     * fault is taken like an interrupt: the frame resumes after the faulting
+     * instruction, or at returnAddress when given, and the handler starts
+     * with the fault code in ACC. Otherwise (or for a fault inside the trap
+     * handler, or when the trap frame cannot be written) execution stops.
+     */
+    handleFault(fault, instructionAddress, returnAddress) {
+        fault.pc = instructionAddress;
+        fault.instruction = this.instructionRegister;
+        this.programCounter = instructionAddress;
+        
+        const frames = this.getCallFrames();
+        const inTrap = frames.length > 0 && frames[frames.length - 1].type === 'trap';
+        if (this.trapVector > 0 && this.trapVector < this.memory.length &&
+            !inTrap && this.hasRoomForInterruptFrame() && this.pushTrapFrame(fault, instructionAddress, returnAddress)) {
+            this.accumulator = fault.code;
+            this.programCounter = this.trapVector;
+            this.instructionCount++;
+            if (this.onStateChange) {
+                this.onStateChange();
+            }
+            return true;
+        }
+        
+        this.running = false;
+        this.lastFault = fault;
+        if (this.onFault) {
+            this.onFault(fault);
+        } else if (this.onError) {
+            this.onError(`${fault.message} (PC ${fault.pc})`);
+        }
+        return false;
+    }
+    
+    /**
+     * Push the frame for a trap into the handler. Returns false, with the
+     * stack as it was, if the frame cannot be written (a protected stack).
+     */
+    pushTrapFrame(fault, instructionAddress, returnAddress) {
+        if (returnAddress === undefined) {
+            const { opcode } = this.decodeInstruction(this.instructionRegister);
+            const length = this.instructionFormat === 'simple' && this.hasOperand(opcode) ? 2 : 1;
+            returnAddress = instructionAddress + length;
+        }
+        const stackPointer = this.stackPointer;
+        try {
+            this.pushInterruptFrame({ type: 'trap', fault: fault.type }, returnAddress);
+        } catch (e) {
+            if (!(e instanceof SetunFault)) {
+                throw e;
+            }
+            this.stackPointer = stackPointer;
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * In strict mode an address outside memory raises a fault; otherwise
+     * the access is skipped, as it always has been
      */
-    executeInstruction(opcode, operand) {
-        switch (opcode) {
-            case this.OPCODES.HALT:
-                this.running = false;
-                if (this.onHalt) {
-                    this.onHalt('Halt instruction (0) encountered');
-                }
-                return false;
-                
-            case this.OPCODES.ADD:
-                // Next memory cell is operand
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    this.accumulator += this.memory[this.programCounter];
-                }
-                break;
-                
-            case this.OPCODES.SUB:
-                // Next memory cell is operand
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    this.accumulator -= this.memory[this.programCounter];
-                }
-                break;
-                
-            case this.OPCODES.LOAD:
-                // Load from memory address in next cell
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    const addr = this.memory[this.programCounter];
-                    if (addr >= 0 && addr < this.memory.length) {
-                        this.accumulator = this.memory[addr];
-                        if (this.heatmapEnabled) {
-                            this.memoryAccessCounts[addr]++;
-                        }
-                    }
-                }
-                break;
-                
-            case this.OPCODES.STORE:
-                // Store to memory address in next cell
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    const addr = this.memory[this.programCounter];
-                    if (addr >= 0 && addr < this.memory.length) {
-                        if (this.canWriteToMemory(addr)) {
-                            this.memory[addr] = this.accumulator;
-                            if (this.heatmapEnabled) {
-                                this.memoryAccessCounts[addr]++;
-                            }
-                        } else {
-                            throw new Error(`Cannot write to protected memory address ${addr}`);
-                        }
-                    }
-                }
-                break;
-                
-            case this.OPCODES.JMP:
-                // Unconditional jump to address in next cell
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    const addr = this.memory[this.programCounter];
-                    if (addr >= 0 && addr < this.memory.length) {
-                        this.programCounter = addr - 1; // -1 because we increment at end
-                    }
-                }
-                break;
-                
-            case this.OPCODES.JZ:
-                // Jump if accumulator is zero
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    if (this.accumulator === 0) {
-                        const addr = this.memory[this.programCounter];
-                        if (addr >= 0 && addr < this.memory.length) {
-                            this.programCounter = addr - 1;
-                        }
-                    }
-                }
-                break;
-                
-            case this.OPCODES.JNZ:
-                // Jump if accumulator is not zero
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    if (this.accumulator !== 0) {
-                        const addr = this.memory[this.programCounter];
-                        if (addr >= 0 && addr < this.memory.length) {
-                            this.programCounter = addr - 1;
-                        }
-                    }
-                }
-                break;
-                
-            case this.OPCODES.JNP:
-                // Jump if accumulator is positive
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    if (this.accumulator > 0) {
-                        const addr = this.memory[this.programCounter];
-                        if (addr >= 0 && addr < this.memory.length) {
-                            this.programCounter = addr - 1;
-                        }
-                    }
-                }
-                break;
-                
-            case this.OPCODES.SHL:
-                // Shift left (multiply by 3 in ternary)
-                this.accumulator *= 3;
-                break;
-                
-            case this.OPCODES.SHR:
-                // Shift right (divide by 3 in ternary)
-                this.accumulator = Math.floor(this.accumulator / 3);
-                break;
-                
-            case this.OPCODES.CALL:
-                // Call subroutine
-                if (this.callStack.length >= this.maxCallDepth) {
-                    this.running = false;
-                    if (this.onError) {
-                        this.onError('Call stack overflow');
-                    }
-                    return false;
-                }
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    const addr = this.memory[this.programCounter];
-                    this.callStack.push(this.programCounter + 1); // Save return address
-                    if (addr >= 0 && addr < this.memory.length) {
-                        this.programCounter = addr - 1;
-                    }
-                }
-                break;
-                
-            case this.OPCODES.RET:
-                // Return from subroutine
-                if (this.callStack.length === 0) {
-                    this.running = false;
-                    if (this.onHalt) {
-                        this.onHalt('Return with empty call stack');
-                    }
-                    return false;
-                }
-                this.programCounter = this.callStack.pop() - 1;
-                break;
-                
-            case this.OPCODES.NEG:
-                // Negate accumulator
-                this.accumulator = -this.accumulator;
-                break;
-                
-            case this.OPCODES.INC:
-                // Increment accumulator
-                this.accumulator++;
-                break;
-                
-            case this.OPCODES.DEC:
-                // Decrement accumulator
-                this.accumulator--;
-                break;
-                
-            case this.OPCODES.LOADI:
-                // Load indirect - next cell contains address of address
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    const pointerAddr = this.memory[this.programCounter];
-                    if (pointerAddr >= 0 && pointerAddr < this.memory.length) {
-                        const actualAddr = this.memory[pointerAddr];
-                        if (actualAddr >= 0 && actualAddr < this.memory.length) {
-                            this.accumulator = this.memory[actualAddr];
-                            if (this.heatmapEnabled) {
-                                this.memoryAccessCounts[actualAddr]++;
-                            }
-                        }
-                    }
-                }
-                break;
-                
-            case this.OPCODES.STOREI:
-                // Store indirect - next cell contains address of address
-                this.programCounter++;
-                if (this.programCounter < this.memory.length) {
-                    const pointerAddr = this.memory[this.programCounter];
-                    if (pointerAddr >= 0 && pointerAddr < this.memory.length) {
-                        const actualAddr = this.memory[pointerAddr];
-                        if (actualAddr >= 0 && actualAddr < this.memory.length) {
-                            if (this.canWriteToMemory(actualAddr)) {
-                                this.memory[actualAddr] = this.accumulator;
-                                if (this.heatmapEnabled) {
-                                    this.memoryAccessCounts[actualAddr]++;
-                                }
-                            } else {
-                                throw new Error(`Cannot write to protected memory address ${actualAddr}`);
-                            }
-                        }
-                    }
-                }
-                break;
-                
-            default:
-                // Unknown opcode - treat as NOP (no operation)
-                break;
+    checkAddress(addr) {
+        if (addr >= 0 && addr < this.memory.length) {
+            return true;
         }
+        if (this.strictMode) {
+            throw new SetunFault('address-range',
+                `Address ${addr} is outside memory (0-${this.memory.length - 1})`);
+        }
+        return false;
+    }
+    
+    /**
+     * Enable or disable strict execution mode
+     */
+    setStrictMode(enabled) {
+        this.strictMode = !!enabled;
         
-        return true;
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
     }
     
     /**
@@ -437,6 +1816,22 @@ class SetunEmulator {
             this.saveStateToHistory();
         }
         
+        // Service a pending interrupt before fetching the next instruction
+        this.waitingForDevice = null;
+        this.stepMemoryAccesses = 0;
+        this.stepDeviceCycles = 0;
+        const stackPointer = this.stackPointer;
+        try {
+            this.dispatchInterrupt();
+        } catch (e) {
+            if (!(e instanceof SetunFault)) {
+                throw e;
+            }
+            // The interrupted instruction has not run: resume at it
+            this.stackPointer = stackPointer;
+            return this.handleFault(e, this.programCounter, this.programCounter);
+        }
+        
         // Check for breakpoint at current address
         if (this.breakpoints.has(this.programCounter)) {
             this.running = false;
@@ -449,6 +1844,10 @@ class SetunEmulator {
         
         // Fetch instruction
         if (this.programCounter < 0 || this.programCounter >= this.memory.length) {
+            if (this.strictMode) {
+                return this.handleFault(new SetunFault('address-range',
+                    `Program counter ${this.programCounter} is outside memory`), this.programCounter);
+            }
             this.running = false;
             if (this.onHalt) {
                 this.onHalt('Program counter out of bounds');
@@ -458,9 +1857,29 @@ class SetunEmulator {
         
         this.instructionRegister = this.memory[this.programCounter];
         
+        const instructionAddress = this.programCounter;
+        this.currentInstructionAddress = instructionAddress;
+        if (!this.hasPermission(instructionAddress, 'x')) {
+            return this.handleFault(new SetunFault('execute-violation',
+                `Program counter entered non-executable address ${instructionAddress}`), instructionAddress);
+        }
+        
         // Decode and execute instruction
-        const { opcode, operand } = this.decodeInstruction(this.instructionRegister);
-        const result = this.executeInstruction(opcode, operand);
+        const { opcode, operand, modifier } = this.decodeInstruction(this.instructionRegister);
+        this.executedAddresses.add(instructionAddress);
+        if (this.instructionFormat === 'simple' && this.hasOperand(opcode)) {
+            this.executedAddresses.add(instructionAddress + 1);
+        }
+        let result;
+        try {
+            result = this.executeInstruction(opcode, operand, modifier);
+        } catch (e) {
+            if (!(e instanceof SetunFault)) {
+                throw e;
+            }
+            return this.handleFault(e, instructionAddress);
+        }
+        this.countCycles(opcode);
         
         if (!result) {
             return false;
@@ -470,6 +1889,12 @@ class SetunEmulator {
         this.programCounter++;
         this.instructionCount++;
         
+        // Interval timer
+        if (this.timerInterval > 0 && ++this.timerCounter >= this.timerInterval) {
+            this.timerCounter = 0;
+            this.raiseInterrupt(0);
+        }
+        
         // Check conditional breakpoints
         const triggeredCondition = this.checkConditionalBreakpoints();
         if (triggeredCondition) {
@@ -505,6 +1930,72 @@ class SetunEmulator {
         return true;
     }
     
+    /**
+     * Step until the program counter reaches the start of a different
+     * source statement: a word whose source location differs from that of
+     * the current one. Words with no location are stepped through. Returns
+     * false like step() when execution stops first, or after maxSteps.
+     */
+    stepSource(maxSteps = 10000) {
+        const start = this.getSourceLocation(this.programCounter);
+        const sameStatement = location => start !== null && location.file === start.file &&
+            location.line === start.line && location.column === start.column;
+        
+        for (let i = 0; i < maxSteps; i++) {
+            if (!this.step()) {
+                return false;
+            }
+            const location = this.getSourceLocation(this.programCounter);
+            if (location !== null && !sameStatement(location)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Charge the cycles of the instruction just executed to the clock
+     */
+    countCycles(opcode) {
+        this.lastInstructionCycles = this.getBaseCycles(opcode) +
+            this.stepMemoryAccesses * this.memoryLatency + this.stepDeviceCycles;
+        this.cycleCount += this.lastInstructionCycles;
+    }
+    
+    /**
+     * Base cycle cost of an opcode in the current profile
+     */
+    getBaseCycles(opcode) {
+        for (const [name, code] of Object.entries(this.getOpcodeTable())) {
+            if (code === opcode) {
+                return this.CYCLE_COSTS[name] !== undefined ? this.CYCLE_COSTS[name] : this.defaultCycles;
+            }
+        }
+        return this.defaultCycles;
+    }
+    
+    /**
+     * Simulated time since reset, in microseconds
+     */
+    getElapsedMicros() {
+        return this.cycleCount * this.cycleTimeMicros;
+    }
+    
+    /**
+     * Run until the simulated clock has advanced by micros, or execution stops.
+     * Pacing calls to this against wall-clock time runs a program at the
+     * historical machine's speed.
+     */
+    runFor(micros) {
+        const target = this.getElapsedMicros() + micros;
+        while (this.getElapsedMicros() < target) {
+            if (!this.step()) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
     /**
      * Get current state for visualization
      */
@@ -513,31 +2004,250 @@ class SetunEmulator {
             accumulator: this.accumulator,
             programCounter: this.programCounter,
             instructionRegister: this.instructionRegister,
+            overflow: this.overflow,
+            wordSize: this.wordSize,
+            overflowMode: this.overflowMode,
+            instructionFormat: this.instructionFormat,
+            profile: this.profile,
+            registerF: this.registerF,
+            registerS: this.registerS,
             memory: [...this.memory],
-            callStack: [...this.callStack],
+            callStack: this.getCallFrames(),
+            stackMode: this.stackMode,
+            stackPointer: this.stackPointer,
+            stackLimit: this.stackLimit,
+            stackTop: this.stackTop,
+            strictMode: this.strictMode,
+            trapVector: this.trapVector,
+            protectedMemory: new Set(this.protectedMemory),
+            waitingForDevice: this.waitingForDevice ? this.waitingForDevice.name : null,
+            devices: this.devices.map(device => ({
+                name: device.name,
+                addresses: device.addresses,
+                ports: device.ports || []
+            })),
+            memoryPermissions: new Map(this.memoryPermissions),
+            executedAddresses: new Set(this.executedAddresses),
+            lastFault: this.lastFault,
+            interruptsEnabled: this.interruptsEnabled,
+            interruptMask: this.interruptMask,
+            interruptVectorBase: this.interruptVectorBase,
+            pendingInterrupts: [...this.pendingInterrupts],
+            timerInterval: this.timerInterval,
             breakpoints: new Set(this.breakpoints),
             conditionalBreakpoints: [...this.conditionalBreakpoints],
             watches: this.getWatchValues(),
             historySize: this.executionHistory.length,
             historyEnabled: this.historyEnabled,
             instructionCount: this.instructionCount,
+            cycleCount: this.cycleCount,
+            lastInstructionCycles: this.lastInstructionCycles,
+            elapsedMicros: this.getElapsedMicros(),
             running: this.running,
             hitBreakpoint: this.hitBreakpoint
         };
     }
     
+    /**
+     * The machine as plain data for a memory dump: configuration, memory,
+     * registers, attached devices and debugging aids (see restoreState)
+     */
+    exportState() {
+        return {
+            memorySize: this.memorySize,
+            wordSize: this.wordSize,
+            overflowMode: this.overflowMode,
+            instructionFormat: this.instructionFormat,
+            profile: this.profile,
+            memory: [...this.memory],
+            accumulator: this.accumulator,
+            overflow: this.overflow,
+            registerF: this.registerF,
+            registerS: this.registerS,
+            programCounter: this.programCounter,
+            instructionRegister: this.instructionRegister,
+            interruptsEnabled: this.interruptsEnabled,
+            interruptVectorBase: this.interruptVectorBase,
+            interruptMask: this.interruptMask,
+            timerInterval: this.timerInterval,
+            strictMode: this.strictMode,
+            trapVector: this.trapVector,
+            stackMode: this.stackMode,
+            stackLimit: this.stackLimit,
+            stackTop: this.stackTop,
+            stackPointer: this.stackPointer,
+            callStack: [...this.callStack],
+            stackFrames: [...this.stackFrames],
+            protectedMemory: Array.from(this.protectedMemory),
+            memoryPermissions: Array.from(this.memoryPermissions),
+            devices: this.snapshotDevices(),
+            breakpoints: Array.from(this.breakpoints),
+            conditionalBreakpoints: this.conditionalBreakpoints,
+            watches: this.watches
+        };
+    }
+    
+    /**
+     * Reset the machine and load a memory dump from exportState. The dump
+     * must be of this machine's memory size; fields missing from older
+     * dumps keep their reset values.
+     */
+    restoreState(state) {
+        if (!state || !Array.isArray(state.memory)) {
+            throw new Error('Invalid memory state file');
+        }
+        if (state.memorySize && state.memorySize !== this.memorySize) {
+            throw new Error(`The memory state is of a ${state.memorySize}-word memory, not ${this.memorySize} words`);
+        }
+        if (state.memory.length !== this.memorySize) {
+            throw new Error(`The memory state holds ${state.memory.length} words, not the ${this.memorySize} words of this memory`);
+        }
+        this.reset();
+        
+        // Word format and instruction set
+        if (state.wordSize && state.wordSize !== this.wordSize) {
+            this.setWordSize(state.wordSize);
+        }
+        if (state.overflowMode) {
+            this.setOverflowMode(state.overflowMode);
+        }
+        if (state.profile) {
+            this.setProfile(state.profile);
+        }
+        if (state.instructionFormat && this.profile === 'standard') {
+            this.setInstructionFormat(state.instructionFormat);
+        }
+        
+        // Memory and registers
+        this.memory = [...state.memory];
+        if (state.accumulator !== undefined) {
+            this.accumulator = state.accumulator;
+        }
+        if (state.programCounter !== undefined) {
+            this.programCounter = state.programCounter;
+        }
+        if (state.instructionRegister !== undefined) {
+            this.instructionRegister = state.instructionRegister;
+        }
+        if (state.overflow !== undefined) {
+            this.overflow = state.overflow;
+        }
+        if (state.registerF !== undefined) {
+            this.registerF = state.registerF;
+        }
+        if (state.registerS !== undefined) {
+            this.registerS = state.registerS;
+        }
+        
+        // Interrupt controller configuration
+        if (state.interruptsEnabled !== undefined) {
+            this.interruptsEnabled = state.interruptsEnabled;
+        }
+        if (state.interruptVectorBase !== undefined) {
+            this.interruptVectorBase = state.interruptVectorBase;
+        }
+        if (state.interruptMask !== undefined) {
+            this.interruptMask = state.interruptMask;
+        }
+        if (state.timerInterval !== undefined) {
+            this.timerInterval = state.timerInterval;
+        }
+        
+        // Strict mode and the trap handler
+        if (state.strictMode !== undefined) {
+            this.setStrictMode(state.strictMode);
+        }
+        if (state.trapVector !== undefined) {
+            this.trapVector = state.trapVector;
+        }
+        
+        // The call stack, and where the memory stack's frames start
+        if (state.stackMode) {
+            this.setStackMode(state.stackMode);
+        }
+        if (state.stackLimit !== undefined && state.stackTop !== undefined) {
+            this.setStackRegion(state.stackLimit, state.stackTop);
+        }
+        if (state.stackPointer !== undefined) {
+            this.stackPointer = state.stackPointer;
+        }
+        if (Array.isArray(state.callStack)) {
+            this.callStack = [...state.callStack];
+        }
+        if (Array.isArray(state.stackFrames)) {
+            this.stackFrames = [...state.stackFrames];
+        }
+        
+        // Protection
+        if (Array.isArray(state.protectedMemory)) {
+            this.protectedMemory = new Set(state.protectedMemory);
+        }
+        if (Array.isArray(state.memoryPermissions)) {
+            this.memoryPermissions = new Map(state.memoryPermissions);
+        }
+        
+        // Attached devices
+        if (state.devices) {
+            this.restoreDevices(state.devices);
+        }
+        
+        // Breakpoints and watches
+        if (Array.isArray(state.breakpoints)) {
+            this.breakpoints = new Set(state.breakpoints);
+        }
+        if (Array.isArray(state.conditionalBreakpoints)) {
+            this.conditionalBreakpoints = state.conditionalBreakpoints;
+        }
+        if (Array.isArray(state.watches)) {
+            this.watches = state.watches;
+        }
+        
+        if (this.onStateChange) {
+            this.onStateChange();
+        }
+    }
+    
     /**
      * Get opcode name for display
      */
     getOpcodeName(value) {
-        for (const [name, opcode] of Object.entries(this.OPCODES)) {
-            if (opcode === value) {
+        const { opcode } = this.decodeInstruction(value);
+        for (const [name, code] of Object.entries(this.getOpcodeTable())) {
+            if (code === opcode) {
                 return name;
             }
         }
         return 'DATA';
     }
     
+    /**
+     * Format a word as an instruction for display. Packed instructions show
+     * their operand: "LOAD 12", "LOAD @12" (indirect) or "JMP $-2" (relative);
+     * historical instructions show F modification as "LDA 12+F".
+     */
+    formatInstruction(value) {
+        const name = this.getOpcodeName(value);
+        if (this.instructionFormat === 'simple' || name === 'DATA') {
+            return name;
+        }
+        
+        const { opcode, operand, modifier } = this.decodeInstruction(value);
+        if (!this.hasOperand(opcode)) {
+            return name;
+        }
+        if (this.profile === 'historical') {
+            // Address modification through F
+            return `${name} ${operand}${modifier === 1 ? '+F' : modifier === -1 ? '-F' : ''}`;
+        }
+        if (modifier === 1) {
+            return `${name} @${operand}`;
+        }
+        if (modifier === -1) {
+            return `${name} $${operand < 0 ? '' : '+'}${operand}`;
+        }
+        return `${name} ${operand}`;
+    }
+    
     /**
      * Add a breakpoint at a memory address
      */
@@ -610,9 +2320,24 @@ class SetunEmulator {
             accumulator: this.accumulator,
             programCounter: this.programCounter,
             instructionRegister: this.instructionRegister,
+            overflow: this.overflow,
+            registerF: this.registerF,
+            registerS: this.registerS,
             memory: [...this.memory],
             callStack: [...this.callStack],
-            instructionCount: this.instructionCount
+            stackPointer: this.stackPointer,
+            stackFrames: [...this.stackFrames],
+            trapVector: this.trapVector,
+            devices: this.snapshotDevices(),
+            interruptsEnabled: this.interruptsEnabled,
+            interruptMask: this.interruptMask,
+            interruptVectorBase: this.interruptVectorBase,
+            pendingInterrupts: [...this.pendingInterrupts],
+            timerInterval: this.timerInterval,
+            timerCounter: this.timerCounter,
+            instructionCount: this.instructionCount,
+            cycleCount: this.cycleCount,
+            lastInstructionCycles: this.lastInstructionCycles
         };
         
         this.executionHistory.push(state);
@@ -639,9 +2364,25 @@ class SetunEmulator {
         this.accumulator = prevState.accumulator;
         this.programCounter = prevState.programCounter;
         this.instructionRegister = prevState.instructionRegister;
+        this.overflow = prevState.overflow;
+        this.registerF = prevState.registerF;
+        this.registerS = prevState.registerS;
         this.memory = [...prevState.memory];
         this.callStack = [...prevState.callStack];
+        this.stackPointer = prevState.stackPointer;
+        this.stackFrames = [...prevState.stackFrames];
+        this.trapVector = prevState.trapVector;
+        this.lastFault = null;
+        this.restoreDevices(prevState.devices);
+        this.interruptsEnabled = prevState.interruptsEnabled;
+        this.interruptMask = prevState.interruptMask;
+        this.interruptVectorBase = prevState.interruptVectorBase;
+        this.pendingInterrupts = new Set(prevState.pendingInterrupts);
+        this.timerInterval = prevState.timerInterval;
+        this.timerCounter = prevState.timerCounter;
         this.instructionCount = prevState.instructionCount;
+        this.cycleCount = prevState.cycleCount;
+        this.lastInstructionCycles = prevState.lastInstructionCycles;
         
         // Notify state change
         if (this.onStateChange) {
@@ -787,6 +2528,40 @@ class SetunEmulator {
         this.protectedMemory.clear();
     }
     
+    /**
+     * Set read/write/execute permissions for a range, written as an
+     * 'rwx' style string with '-' for a missing permission (e.g. 'r--')
+     */
+    setRegionPermissions(startAddr, endAddr, permissions) {
+        if (!/^[r-][w-][x-]$/.test(permissions)) {
+            throw new Error(`Invalid permissions "${permissions}" (expected e.g. rwx, r-x, rw-)`);
+        }
+        for (let addr = startAddr; addr <= endAddr; addr++) {
+            if (addr >= 0 && addr < this.memory.length) {
+                if (permissions === 'rwx') {
+                    this.memoryPermissions.delete(addr);
+                } else {
+                    this.memoryPermissions.set(addr, permissions);
+                }
+            }
+        }
+    }
+    
+    getPermissions(addr) {
+        return this.memoryPermissions.get(addr) || 'rwx';
+    }
+    
+    /**
+     * Check one permission ('r', 'w' or 'x') for an address
+     */
+    hasPermission(addr, permission) {
+        return this.getPermissions(addr).includes(permission);
+    }
+    
+    clearRegionPermissions() {
+        this.memoryPermissions.clear();
+    }
+    
     /**
      * Check if write to memory address is allowed
      */
@@ -794,7 +2569,7 @@ class SetunEmulator {
         if (addr < 0 || addr >= this.memory.length) {
             return false;
         }
-        return !this.protectedMemory.has(addr);
+        return !this.protectedMemory.has(addr) && this.hasPermission(addr, 'w');
     }
     
     /**
@@ -824,7 +2599,17 @@ const EXAMPLE_PROGRAMS = {
     loadStore: {
         name: 'Load and Store',
         description: 'Demonstrates memory load/store operations',
-        code: '+- +0- +0 -+ +-0 0'  // LOAD addr(5), JMP addr(6), DATA(3), STORE addr(6), HALT
+        code: [
+            '; Copy a value between memory cells and read it back',
+            '        LOAD source',
+            '        STORE dest',
+            '        LOAD dest',
+            '        HALT',
+            '',
+            '        .ORG 20',
+            'source: .WORD 3',
+            'dest:   .SPACE 1'
+        ].join('\n')
     },
     conditional: {
         name: 'Conditional Jump',
@@ -844,11 +2629,170 @@ const EXAMPLE_PROGRAMS = {
     subroutine: {
         name: 'Subroutine Call',
         description: 'Call and return from subroutine',
-        code: '+-+ +-- +0 +--- + + -+- 0'  // CALL addr(6), JMP addr(2), HALT, <empty>, ADD 1, ADD 1, RET, HALT
+        code: [
+            '; Call a subroutine twice; it adds 2 to ACC each time',
+            '        CALL addTwo',
+            '        CALL addTwo',
+            '        HALT',
+            '',
+            '        .ORG 30',
+            'addTwo: ADD 1',
+            '        ADD 1',
+            '        RET'
+        ].join('\n')
+    },
+    assemblyCountdown: {
+        name: 'Assembly Countdown',
+        description: 'Symbolic assembly: labels, mnemonics and comments',
+        code: [
+            '; Count down from 5, adding each value to total',
+            'start:  LOAD count',
+            'loop:   STORE count',
+            '        LOAD total',
+            '        ADD +0-        ; ternary literal (8)',
+            '        SUB 7          ; decimal literal',
+            '        STORE total    ; total grows by one per pass',
+            '        LOAD count',
+            '        DEC',
+            '        JNZ loop',
+            '        LOAD total',
+            '        HALT',
+            'count:  5',
+            'total:  0'
+        ].join('\n')
+    },
+    macroTotals: {
+        name: 'Macro Totals',
+        description: 'A parameterised macro with a local label, a repeat block and .IF',
+        code: [
+            '.EQU BONUS 1',
+            '',
+            '; Add amount to a variable, keeping it no larger than limit',
+            '.MACRO addCapped var, amount, limit',
+            '        LOAD \\var',
+            '        ADD \\amount',
+            '        STORE \\var',
+            '        SUB \\limit',
+            '        JNP %over',
+            '        JMP %done',
+            '%limit: .WORD \\limit',
+            '%over:  LOAD %limit',
+            '        STORE \\var',
+            '%done:',
+            '.ENDM',
+            '',
+            '        addCapped score, 7, 20',
+            '.REPT 2',
+            '        addCapped score, 9, 20',
+            '.ENDR',
+            '.IF BONUS',
+            '        addCapped score, 1, 30',
+            '.ENDIF',
+            '        LOAD score',
+            '        HALT',
+            '',
+            'score:  .WORD 0'
+        ].join('\n')
     },
     negate: {
         name: 'Negate',
         description: 'Negate the accumulator',
         code: '+ +-- +0- 0'  // ADD 6, NEG, HALT
+    },
+    packedCountdown: {
+        name: 'Packed Countdown',
+        description: 'Packed instruction format: opcode and address in one word',
+        format: 'packed',
+        code: '+:+0 -00:0 --:+ 0'  // ADD 3, DEC, JNZ addr(1), HALT
+    },
+    deepRecursion: {
+        name: 'Deep Recursion',
+        description: 'Recurse 15 levels deep using the memory stack',
+        stackMode: 'memory',
+        code: '+ +--0 +-+ +-- 0 ++ +0+ -00 +-+ +-- -+-'
+        // ADD 15, CALL 5, HALT, sub: JZ 10, DEC, CALL 5, RET
+    },
+    drumOverlay: {
+        name: 'Drum Overlay',
+        description: 'Save a buffer to drum page 3 and read it back elsewhere',
+        code: '+ +-+ -+ +-+-0 - +-+ + +-+-0 -0++ +0 - +-+-0 -+ +-+-0 + +-0-- +0-- +0 +- +-0-- 0'
+        // ADD 7, STORE 60, SUB 7, ADD 60, DWR 3, SUB 60, STORE 60, ADD 50, DRD 3, LOAD 50, HALT
+    },
+    teletypeHello: {
+        name: 'Teletype Hello',
+        description: 'Print text and a decimal number on the console',
+        code: '+ +0- -0+0 + + + -0+0 + - +00 -0+0 + + +---0 -0+0 +0 0'
+        // ADD 8 ('H'), OUT 1, ADD 1 ('I'), OUT 1, SUB 9 (space), OUT 1, ADD 42, OUT 3, HALT
+    },
+    teletypeEcho: {
+        name: 'Teletype Echo',
+        description: 'Echo keyboard input until a period is typed',
+        code: '+0-0 + -0+0 + - +++- ++ +0+ +0 0 0'
+        // IN 1, OUT 1, SUB 38 ('.'), JZ 10, JMP 0, HALT
+    },
+    tapeCopy: {
+        name: 'Tape Copy',
+        description: 'Copy the reader tape to the punch, frame by frame',
+        code: '+0-0 +-0 ++ +0+ +0-0 +-- -0+0 +-+ +0 0 0'
+        // IN 6, JZ 10, IN 5, OUT 7, JMP 0, HALT
+    },
+    displayDiagonal: {
+        name: 'Display Diagonal',
+        description: 'Draw a diagonal line on the framebuffer (attach it at 54, 18 × 9, trit mode)',
+        code: '+- +-+- -0- +-+0 -+0 -+ +-+- +- +-+0 +00 -+ +-+0 - +-+00 -- 0 0 0 0 0 +00000000000000000 +-000'
+        // loop: LOAD 20, STOREI 21, SHR, STORE 20, LOAD 21, INC, STORE 21, SUB 63, JNZ 0, HALT,
+        // DATA pattern (leftmost pixel) at 20, DATA row pointer (54) at 21
+    },
+    timerInterrupt: {
+        name: 'Timer Interrupt',
+        description: 'Count timer interrupts in a handler, halt after three',
+        code: '+-0+ +00 +-00 +00 +--+ +00 +0 +-- 0 +-00 0 0 0 0 0 0 0 0 +- +0+- +00 -+ +0+- - +0 ++ +00+ +-0- 0 0'
+        // IVB 9, TIMER 9, EI, loop: INC, JMP 5, HALT, vectors[9..17] (timer -> 18),
+        // handler: LOAD 29, INC, STORE 29, SUB 3, JZ 28, IRET, HALT, DATA count
+    },
+    balancedDivision: {
+        name: 'Balanced Division',
+        description: 'MOD gives the balanced remainder: 8 = 3 × 3 − 1',
+        code: '+ +0- -+++ +0 0'  // ADD 8, MOD 3, HALT
+    },
+    tritMask: {
+        name: 'Trit Masking',
+        description: 'Keep the low two trits with a trit-wise multiply mask',
+        code: '+ +0-+ --- ++ 0'  // ADD 25, TMUL mask(++), HALT
+    },
+    historicalSum: {
+        name: 'Historical: Table Sum',
+        description: 'Setun profile: sum a four-word table using F as the index register',
+        profile: 'historical',
+        code: '-:+0+ +00:+++ +:+0+:+++ -00:+++ 0--:++- +:++0 +00:++0 ++:+ +00:+++ 0 ++ - 0 0 +-- -+ +-+ +0'
+        // LDF 10, LDA 13, ADA 13+F, STA 13, ADF 11, STF 12, LDA 12, JPS 1, LDA 13, HLT,
+        // DATA 4 (count), -1 (step), 0 (temp), 0 (sum), table: 5, -2, 7, 3
+    },
+    ternFactorials: {
+        name: 'Tern: Factorials',
+        description: 'Compiled Tern source: print 1! to 5! with a recursive function',
+        format: 'packed',
+        file: 'main.tern',
+        code: [
+            '// Print the factorials of 1 to 5 (see the Compiled tab)',
+            'var n = 1;',
+            '',
+            'func fact(k) {',
+            '    if (k <= 1) {',
+            '        return 1;',
+            '    }',
+            '    return k * fact(k - 1);',
+            '}',
+            '',
+            'while (n <= 5) {',
+            '    print(fact(n));',
+            '    n = n + 1;',
+            '}'
+        ].join('\n')
     }
 };
+
+// In Node (cli.js) the scripts are modules; in the browser their classes are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunFault, SetunEmulator, EXAMPLE_PROGRAMS };
+}
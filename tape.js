@@ -0,0 +1,157 @@
+/**
+ * Setun - Paper tape reader and punch
+ *
+ * Tape image format (.tape): plain text, one frame per line.
+ *   - The first line that is not blank or a comment must be "SETUN-TAPE 1".
+ *   - Every later line holds one frame: a word in balanced ternary
+ *     (+, 0, -, most significant trit first).
+ *   - Blank lines are ignored; ';' starts a comment running to end of line.
+ *
+ *   SETUN-TAPE 1
+ *   ; three data words
+ *   +0-     ; 8
+ *   -       ; -1
+ *   0
+ *
+ * Reader ports, from basePort (default 5):
+ *   +0  IN reads the next frame, waiting when the tape has run out
+ *   +1  IN reads the number of frames left; OUT rewinds the tape
+ * Punch ports, from basePort (default 7):
+ *   +0  OUT punches ACC as a frame
+ *   +1  IN reads the number of frames punched
+ */
+
+class SetunTape {
+    /**
+     * Parse a tape image into an array of words
+     */
+    static parse(text) {
+        const frames = [];
+        let headerSeen = false;
+        
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.split(';')[0].trim();
+            if (line.length === 0) {
+                return;
+            }
+            if (!headerSeen) {
+                if (!/^SETUN-TAPE\s+1$/.test(line)) {
+                    throw new Error(`Line ${index + 1}: tape image must start with "SETUN-TAPE 1"`);
+                }
+                headerSeen = true;
+                return;
+            }
+            // validateTernary allows spaces between trits; a frame is one word
+            if (/\s/.test(line) || !SetunEmulator.validateTernary(line)) {
+                throw new Error(`Line ${index + 1}: invalid frame "${line}"`);
+            }
+            frames.push(SetunEmulator.fromBalancedTernary(line));
+        });
+        
+        if (!headerSeen) {
+            throw new Error('Empty tape image (missing "SETUN-TAPE 1" header)');
+        }
+        return frames;
+    }
+    
+    /**
+     * Write words as a tape image, with each frame's decimal value as a comment
+     */
+    static format(frames) {
+        const lines = ['SETUN-TAPE 1'];
+        frames.forEach(word => {
+            lines.push(`${SetunEmulator.toBalancedTernary(word)} ; ${word}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+class SetunTapeReader extends SetunDevice {
+    constructor(options = {}) {
+        const basePort = options.basePort !== undefined ? options.basePort : 5;
+        super(options.name || 'tape-reader', { ports: [basePort, basePort + 1] });
+        this.basePort = basePort;
+        this.frames = [];
+        this.position = 0; // Next frame to read
+    }
+    
+    /**
+     * Mount a tape (an array of words) at its start
+     */
+    load(frames) {
+        this.frames = [...frames];
+        this.position = 0;
+    }
+    
+    rewind() {
+        this.position = 0;
+    }
+    
+    read(port) {
+        if (port === this.basePort) {
+            // null tells the emulator to wait until more tape is loaded
+            return this.position < this.frames.length ? this.frames[this.position++] : null;
+        }
+        return this.frames.length - this.position;
+    }
+    
+    write(port) {
+        if (port === this.basePort + 1) {
+            this.rewind();
+        }
+    }
+    
+    /**
+     * The tape stays mounted across a reset; it is only rewound
+     */
+    reset() {
+        this.rewind();
+    }
+    
+    snapshot() {
+        return { frames: this.frames, position: this.position };
+    }
+    
+    restore(state) {
+        this.frames = state.frames || [];
+        this.position = state.position || 0;
+    }
+}
+
+class SetunTapePunch extends SetunDevice {
+    constructor(options = {}) {
+        const basePort = options.basePort !== undefined ? options.basePort : 7;
+        super(options.name || 'tape-punch', { ports: [basePort, basePort + 1] });
+        this.basePort = basePort;
+        this.frames = [];
+    }
+    
+    read(port) {
+        return port === this.basePort + 1 ? this.frames.length : 0;
+    }
+    
+    write(port, value) {
+        if (port === this.basePort) {
+            this.frames.push(value);
+        }
+    }
+    
+    /**
+     * A reset starts a fresh tape
+     */
+    reset() {
+        this.frames = [];
+    }
+    
+    snapshot() {
+        return { frames: [...this.frames] };
+    }
+    
+    restore(state) {
+        this.frames = [...(state.frames || [])];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunTape, SetunTapeReader, SetunTapePunch };
+}
@@ -0,0 +1,120 @@
+/**
+ * Setun - Teletype console device
+ * A teleprinter on the I/O bus with a keyboard input buffer. Characters
+ * travel as 4-trit codes (-40..40) from SetunTeletype.CODE_TABLE.
+ *
+ * Ports, from basePort (default 1):
+ *   +0  IN reads the next character code, waiting while the buffer is empty;
+ *       OUT prints the character with the code in ACC
+ *   +1  IN reads the number of characters waiting (for polling)
+ *   +2  OUT prints ACC in decimal
+ *   +3  OUT prints ACC in balanced ternary
+ */
+
+class SetunTeletype extends SetunDevice {
+    constructor(options = {}) {
+        const basePort = options.basePort !== undefined ? options.basePort : 1;
+        super(options.name || 'teletype', {
+            ports: [basePort, basePort + 1, basePort + 2, basePort + 3]
+        });
+        this.basePort = basePort;
+        this.interruptLine = options.interruptLine !== undefined ? options.interruptLine : 1; // Raised on input
+        this.maxOutput = 10000;  // Characters of output kept
+        
+        this.output = '';
+        this.inputBuffer = [];   // Character codes typed but not yet read
+    }
+    
+    /**
+     * Code for a character, or null if the table has none
+     */
+    static encodeChar(char) {
+        const index = SetunTeletype.CODE_TABLE.indexOf(char);
+        return index === -1 ? null : index - 40;
+    }
+    
+    /**
+     * Character for a code; codes outside the table print as '?'
+     */
+    static decodeChar(code) {
+        return SetunTeletype.CODE_TABLE[code + 40] || '?';
+    }
+    
+    read(port) {
+        switch (port - this.basePort) {
+            case 0:
+                // null tells the emulator to wait for input
+                return this.inputBuffer.length > 0 ? this.inputBuffer.shift() : null;
+            case 1:
+                return this.inputBuffer.length;
+            default:
+                return 0;
+        }
+    }
+    
+    write(port, value) {
+        switch (port - this.basePort) {
+            case 0:
+                this.print(SetunTeletype.decodeChar(value));
+                break;
+            case 2:
+                this.print(String(value));
+                break;
+            case 3:
+                this.print(SetunEmulator.toBalancedTernary(value));
+                break;
+        }
+    }
+    
+    print(text) {
+        this.output = (this.output + text).slice(-this.maxOutput);
+    }
+    
+    /**
+     * Type text on the keyboard. Characters without a code are dropped.
+     * Returns the number of characters buffered.
+     */
+    type(text) {
+        const codes = [...text].map(char => SetunTeletype.encodeChar(char))
+            .filter(code => code !== null);
+        this.inputBuffer.push(...codes);
+        if (codes.length > 0 && this.emulator && this.interruptLine !== null) {
+            this.emulator.raiseInterrupt(this.interruptLine);
+        }
+        return codes.length;
+    }
+    
+    /**
+     * Clear the printed output. Typed-ahead input is kept, so input can be
+     * entered before a program is run.
+     */
+    reset() {
+        this.output = '';
+    }
+    
+    snapshot() {
+        return { output: this.output, inputBuffer: [...this.inputBuffer] };
+    }
+    
+    restore(state) {
+        this.output = state.output || '';
+        this.inputBuffer = [...(state.inputBuffer || [])];
+    }
+}
+
+// Character for each code from -40 to 40 (index = code + 40).
+// Upper case letters are 1..26, lower case -1..-26, digits 27..36.
+SetunTeletype.CODE_TABLE = [
+    '>', '<', "'", '"', '!', ';', ':', '/', '*', ')', '(', '=', '+', '-', // -40..-27
+    'z', 'y', 'x', 'w', 'v', 'u', 't', 's', 'r', 'q', 'p', 'o', 'n',        // -26..-14
+    'm', 'l', 'k', 'j', 'i', 'h', 'g', 'f', 'e', 'd', 'c', 'b', 'a',        // -13..-1
+    ' ',                                                                    // 0
+    'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M',        // 1..13
+    'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z',        // 14..26
+    '0', '1', '2', '3', '4', '5', '6', '7', '8', '9',                       // 27..36
+    '\n', '.', ',', '?'                                                     // 37..40
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetunTeletype };
+}